@@ -0,0 +1,64 @@
+const { describeUpstreamError } = require('./upstream');
+
+// Backend-for-frontend for the web app's home page: the caller's profile, recent orders,
+// unread notification count and featured products in one response. Sections are fetched
+// in parallel and fail independently; a failed section is null and its error is listed
+// under `errors` with the status the REST route would have returned.
+const RECENT_ORDERS = 5;
+const FEATURED_PRODUCTS = 4;
+
+const sections = {
+  profile: async (upstreams, user) => (await upstreams['user-service'].get(`/users/${user.userId}`)).data,
+
+  recentOrders: async (upstreams, user) => {
+    const response = await upstreams['order-service'].get('/orders', { params: { userId: user.userId, limit: RECENT_ORDERS } });
+    return response.data.map(order => ({
+      id: order.id,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      itemCount: order.items.reduce((count, item) => count + item.quantity, 0),
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    }));
+  },
+
+  unreadNotifications: async (upstreams, user) => {
+    const response = await upstreams['notification-service'].get('/notifications/unread-count', { params: { userId: user.userId } });
+    return response.data.count;
+  },
+
+  // The newest products that are in stock
+  featuredProducts: async (upstreams) =>
+    (await upstreams['product-service'].get('/products', { params: { inStock: true, limit: FEATURED_PRODUCTS } })).data
+};
+
+const SECTION_ERRORS = {
+  profile: 'Failed to fetch user',
+  recentOrders: 'Failed to fetch orders',
+  unreadNotifications: 'Failed to count unread notifications',
+  featuredProducts: 'Failed to fetch products'
+};
+
+// Express handler for GET /api/dashboard; expects authenticateToken before it.
+// Answers 200 when at least one section loaded and 502 when none did.
+const createDashboardHandler = (upstreams) => async (req, res) => {
+  const names = Object.keys(sections);
+  const results = await Promise.allSettled(names.map(name => sections[name](upstreams, req.user)));
+
+  const dashboard = {};
+  const errors = {};
+  names.forEach((name, i) => {
+    const { status, value, reason } = results[i];
+    if (status === 'fulfilled') {
+      dashboard[name] = value;
+    } else {
+      dashboard[name] = null;
+      const { status: errorStatus, error } = describeUpstreamError(reason, SECTION_ERRORS[name]);
+      errors[name] = { status: errorStatus, error };
+    }
+  });
+
+  res.status(Object.keys(errors).length === names.length ? 502 : 200).json({ ...dashboard, errors });
+};
+
+module.exports = { createDashboardHandler };
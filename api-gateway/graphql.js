@@ -0,0 +1,181 @@
+const { buildSchema, graphql, GraphQLError } = require('graphql');
+const DataLoader = require('dataloader');
+const { describeUpstreamError } = require('./upstream');
+
+// GraphQL view over the user, order, payment, product and notification services.
+// Every request gets its own loaders, so the products and payments referenced by a
+// list of orders are fetched with one upstream call per service.
+const typeDefs = `
+  type User {
+    id: ID!
+    email: String!
+    name: String
+    roles: [String!]!
+    emailVerified: Boolean
+  }
+
+  type Product {
+    id: ID!
+    name: String!
+    description: String
+    price: Float!
+    stock: Int
+    createdAt: String
+    updatedAt: String
+  }
+
+  type Payment {
+    id: ID!
+    orderId: ID!
+    amount: Float!
+    paymentMethod: String
+    status: String!
+    createdAt: String
+  }
+
+  type OrderItem {
+    productId: ID
+    name: String!
+    quantity: Int!
+    price: Float!
+    "Current product details; null for items placed before products were referenced, or deleted products"
+    product: Product
+  }
+
+  type Order {
+    id: ID!
+    items: [OrderItem!]!
+    totalAmount: Float!
+    status: String!
+    payment: Payment
+    createdAt: String
+    updatedAt: String
+  }
+
+  type Notification {
+    id: ID!
+    type: String
+    title: String
+    message: String
+    createdAt: String
+  }
+
+  type Query {
+    me: User!
+    orders: [Order!]!
+    order(id: ID!): Order
+    products: [Product!]!
+    product(id: ID!): Product
+    notifications: [Notification!]!
+  }
+`;
+
+// Turn an upstream failure into a GraphQL error with the status the REST routes would return
+const toGraphQLError = (error, message) => {
+  const { status, error: description } = describeUpstreamError(error, message);
+  return new GraphQLError(description, { extensions: { code: 'UPSTREAM_ERROR', status } });
+};
+
+const fetchData = async (request, message) => {
+  try {
+    return (await request).data;
+  } catch (error) {
+    throw toGraphQLError(error, message);
+  }
+};
+
+// Like fetchData, but a 404 resolves to null
+const fetchOptional = async (request, message) => {
+  try {
+    return (await request).data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw toGraphQLError(error, message);
+  }
+};
+
+// DataLoader batch function over an upstream `?ids=` lookup; missing ids resolve to null
+const batchById = (fetchMany) => async (ids) => {
+  const rows = await fetchMany(ids);
+  const byId = new Map(rows.map(row => [String(row.id), row]));
+  return ids.map(id => byId.get(String(id)) || null);
+};
+
+const createLoaders = (upstreams, scope) => ({
+  products: new DataLoader(batchById(ids => fetchData(
+    upstreams['product-service'].get('/products', { params: { ids: ids.join(',') } }),
+    'Failed to fetch products'
+  )), { cacheKeyFn: String }),
+  payments: new DataLoader(batchById(ids => fetchData(
+    upstreams['payment-service'].get('/payments', { params: { ids: ids.join(','), ...scope } }),
+    'Failed to fetch payments'
+  )), { cacheKeyFn: String })
+});
+
+// ID arguments arrive as strings; only positive integers name a record
+const parseId = (id) => {
+  const value = Number(id);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new GraphQLError(`Invalid id: ${id}`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return value;
+};
+
+const resolvers = {
+  Query: {
+    me: (root, args, { upstreams, user }) =>
+      fetchData(upstreams['user-service'].get(`/users/${user.userId}`), 'Failed to fetch user'),
+    orders: (root, args, { upstreams, user }) =>
+      fetchData(upstreams['order-service'].get('/orders', { params: { userId: user.userId } }), 'Failed to fetch orders'),
+    order: (root, { id }, { upstreams, scope }) =>
+      fetchOptional(upstreams['order-service'].get(`/orders/${parseId(id)}`, { params: scope }), 'Failed to fetch order'),
+    products: (root, args, { upstreams }) =>
+      fetchData(upstreams['product-service'].get('/products'), 'Failed to fetch products'),
+    product: (root, { id }, { loaders }) => loaders.products.load(parseId(id)),
+    notifications: (root, args, { upstreams, user }) =>
+      fetchData(upstreams['notification-service'].get('/notifications', { params: { userId: user.userId } }), 'Failed to fetch notifications')
+  },
+  Order: {
+    payment: (order, args, { loaders }) => (order.paymentId ? loaders.payments.load(order.paymentId) : null)
+  },
+  OrderItem: {
+    product: (item, args, { loaders }) => (item.productId ? loaders.products.load(item.productId) : null)
+  }
+};
+
+// Attach field resolvers to a schema built from SDL
+const attachResolvers = (schema, resolverMap) => {
+  for (const [typeName, fields] of Object.entries(resolverMap)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+};
+
+// Express handler for POST /api/graphql; expects authenticateToken and express.json before it
+const createGraphqlHandler = (upstreams, { ownerScope }) => {
+  const schema = attachResolvers(buildSchema(typeDefs), resolvers);
+
+  return async (req, res) => {
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: 'A query string is required' }] });
+    }
+
+    const scope = ownerScope(req);
+    const result = await graphql({
+      schema,
+      source: query,
+      variableValues: variables,
+      operationName,
+      contextValue: { upstreams, user: req.user, scope, loaders: createLoaders(upstreams, scope) }
+    });
+
+    // Requests that fail to parse or validate produce no data at all
+    res.status(result.data === undefined ? 400 : 200).json(result);
+  };
+};
+
+module.exports = { createGraphqlHandler };
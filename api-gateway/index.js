@@ -1,35 +1,157 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const redis = require('redis');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const { createUpstream, sendUpstreamError } = require('./upstream');
+const { loadRouteTable, mountRoutes } = require('./proxy');
+const { createVersioning, transformRequest } = require('./versions');
+const { createRateLimiters } = require('./rate-limit');
+const { createResponseCache } = require('./response-cache');
+const { buildOpenApiDocument } = require('./openapi');
+const { createGraphqlHandler } = require('./graphql');
+const { createDashboardHandler } = require('./dashboard');
+const { createWebSocketProxy } = require('./websocket-proxy');
+const correlation = require('../shared/correlation');
+const { createMetrics } = require('../shared/metrics');
+const { schemas, createBodyValidator } = require('../shared/validation');
+const { createJwksVerifier } = require('../shared/jwks');
+const { TOKEN_HEADER, DEFAULT_INTERNAL_SERVICE_TOKEN } = require('../shared/internal-auth');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'api-gateway' });
 
 const app = express();
 const PORT = process.env.PORT || 8080;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+// Port for /metrics and /health/deep, kept off the public port; not published outside the Docker network
+const INTERNAL_PORT = process.env.INTERNAL_PORT || 8091;
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+// How long user-service's public signing keys are cached before they are fetched again
+const JWKS_CACHE_SECONDS = parseInt(process.env.JWKS_CACHE_SECONDS) || 300;
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const API_KEY_CACHE_SECONDS = parseInt(process.env.API_KEY_CACHE_SECONDS) || 60;
+// Set to 'false' to let unverified users through routes flagged `requiresVerifiedEmail`
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL !== 'false';
+// Shared secret sent to upstreams marked `internalAuth` in the route table, which only accept
+// privileged calls carrying it. The development default is refused anywhere else.
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN || DEFAULT_INTERNAL_SERVICE_TOKEN;
+if (INTERNAL_SERVICE_TOKEN === DEFAULT_INTERNAL_SERVICE_TOKEN && (process.env.NODE_ENV || 'development') !== 'development') {
+  console.error('INTERNAL_SERVICE_TOKEN must be set when NODE_ENV is not development');
+  process.exit(1);
+}
+
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, 'routes.json');
 
-// Service URLs
-const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
-const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3002';
-const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3003';
-const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004';
-const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3006';
+// Route table: upstream services, the routes proxied to them and the API versions serving them
+const routeTable = loadRouteTable(ROUTES_FILE);
+const versioning = createVersioning(routeTable.versions);
+
+// Upstream clients: timeout, retry and circuit breaker settings default from UPSTREAM_*
+// and can be overridden per service, e.g. ORDER_SERVICE_TIMEOUT_MS
+const upstreamOptions = (prefix) => {
+  const setting = (name, fallback) => parseInt(process.env[`${prefix}_${name}`] || process.env[`UPSTREAM_${name}`]) || fallback;
+  return {
+    timeoutMs: setting('TIMEOUT_MS', 5000),
+    retries: setting('RETRIES', 2),
+    failureThreshold: setting('BREAKER_THRESHOLD', 5),
+    resetTimeoutMs: setting('BREAKER_RESET_MS', 30000)
+  };
+};
+
+const upstreams = Object.fromEntries(Object.entries(routeTable.upstreams).map(([name, { urlEnv, defaultUrl, internalAuth }]) => [
+  name,
+  createUpstream(name, process.env[urlEnv] || defaultUrl, {
+    ...upstreamOptions(urlEnv.replace(/_URL$/, '')),
+    headers: internalAuth ? { [TOKEN_HEADER]: INTERNAL_SERVICE_TOKEN } : {}
+  })
+]));
 
 // Middleware
+// Client IPs come from X-Forwarded-For when the request passed through a trusted proxy (nginx)
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
 app.use(helmet());
-app.use(cors());
-app.use(express.json());
+// Browsers may read the API version headers set on deprecated routes
+app.use(cors({ exposedHeaders: ['Deprecation', 'Sunset', 'Link'] }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+// Initialize Redis (token revocation list, rate limit counters, response cache)
+const redisClient = redis.createClient({ url: REDIS_URL });
+redisClient.on('error', (error) => console.error('Redis error:', error.message));
+(async () => {
+  try {
+    await redisClient.connect();
+    console.log('Connected to Redis');
+  } catch (error) {
+    console.error('Redis connection error:', error);
+  }
+})();
+
+// Rate limiting per route group, counted in Redis (see rate-limit.js)
+const rateLimiters = createRateLimiters(routeTable.rateLimits, redisClient);
+
+// Rate limit middleware for a route group (must run after authenticateToken on protected routes)
+const limitRate = (group = 'default') => rateLimiters[group];
+
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+// Access tokens are verified with the public keys user-service publishes as a JWKS
+const accessTokens = createJwksVerifier({
+  jwt,
+  fetchJwks: async () => (await upstreams['user-service'].get('/.well-known/jwks.json')).data,
+  cacheSeconds: JWKS_CACHE_SECONDS
 });
-app.use('/api/', limiter);
+
+// Verify an access token and return its claims. Rejects with an error carrying the
+// HTTP status to answer with.
+const verifyAccessToken = async (token) => {
+  let user;
+  try {
+    user = await accessTokens.verify(token);
+  } catch (error) {
+    if (error.jwksUnavailable) {
+      console.error('Access token verification error:', error.message);
+      throw authError(503, 'Token verification is temporarily unavailable');
+    }
+    // An expired token gets 401 so clients know to refresh it; any other failure is final
+    if (error instanceof jwt.TokenExpiredError) {
+      throw authError(401, 'Access token expired');
+    }
+    throw authError(403, 'Invalid or expired token');
+  }
+
+  // Reject tokens revoked by logout or refresh token reuse, and those of suspended users
+  if (redisClient?.isReady && user.jti) {
+    let revoked = false;
+    let suspended = false;
+    try {
+      [revoked, suspended] = await Promise.all([
+        redisClient.exists(`revoked:jti:${user.jti}`),
+        redisClient.exists(`suspended:user:${user.userId}`)
+      ]);
+    } catch (error) {
+      console.error('Revocation check error:', error.message);
+    }
+    if (suspended) {
+      throw authError(403, 'Account suspended');
+    }
+    if (revoked) {
+      throw authError(401, 'Token has been revoked');
+    }
+  }
+  return user;
+};
 
 // JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -37,185 +159,315 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  next();
 };
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'api-gateway' });
-});
+// Scopes an API key can be granted, from the shared key creation schema
+const API_KEY_SCOPES = schemas['apikey.create'].properties.scopes.items.enum;
 
-// Authentication endpoints (public)
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const response = await axios.post(`${USER_SERVICE_URL}/register`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Registration failed'
-    });
+// Resolve an API key through user-service. Results are cached in Redis for
+// API_KEY_CACHE_SECONDS; user-service deletes the entry when the key is rotated or revoked.
+const verifyApiKey = async (key) => {
+  const cacheKey = `apikey:${crypto.createHash('sha256').update(key).digest('hex')}`;
+  if (redisClient.isReady) {
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    } catch (error) {
+      console.error('API key cache error:', error.message);
+    }
   }
-});
 
-app.post('/api/auth/login', async (req, res) => {
+  let apiKey;
   try {
-    const response = await axios.post(`${USER_SERVICE_URL}/login`, req.body);
-    res.json(response.data);
+    ({ data: apiKey } = await upstreams['user-service'].post('/api-keys/verify', { key }));
   } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Login failed'
-    });
+    if (error.response?.status === 400 || error.response?.status === 401) return null;
+    throw error;
   }
-});
 
-// User endpoints (protected)
-app.get('/api/users/me', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.get(`${USER_SERVICE_URL}/users/${req.user.userId}`, {
-      headers: { 'Authorization': req.headers['authorization'] }
-    });
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch user'
-    });
+  // Never cache a key past its expiry
+  const ttl = apiKey.expiresAt
+    ? Math.min(API_KEY_CACHE_SECONDS, Math.floor((new Date(apiKey.expiresAt) - Date.now()) / 1000))
+    : API_KEY_CACHE_SECONDS;
+  if (redisClient.isReady && ttl > 0) {
+    await redisClient.setEx(cacheKey, ttl, JSON.stringify(apiKey)).catch(error => console.error('API key cache error:', error.message));
   }
-});
+  return apiKey;
+};
 
-// Order endpoints (protected)
-app.get('/api/orders', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.get(`${ORDER_SERVICE_URL}/orders`, {
-      headers: { 'Authorization': req.headers['authorization'] },
-      params: { userId: req.user.userId }
-    });
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch orders'
-    });
+// API key authentication (X-API-Key) for a route that keys holding `scope` may call.
+// The key becomes the request principal, with its scopes and no roles, and every
+// request it makes is logged against it.
+const authenticateApiKey = (scope) => async (req, res, next) => {
+  if (!API_KEY_SCOPES.includes(scope)) {
+    return res.status(403).json({ error: 'API keys cannot call this route' });
   }
-});
 
-app.post('/api/orders', authenticateToken, async (req, res) => {
+  let apiKey;
   try {
-    const orderData = { ...req.body, userId: req.user.userId };
-    const response = await axios.post(`${ORDER_SERVICE_URL}/orders`, orderData, {
-      headers: { 'Authorization': req.headers['authorization'] }
-    });
-    res.json(response.data);
+    apiKey = await verifyApiKey(req.headers['x-api-key']);
   } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to create order'
-    });
+    return sendUpstreamError(res, error, 'API key verification failed');
+  }
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
   }
-});
 
-app.get('/api/orders/:id', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.get(`${ORDER_SERVICE_URL}/orders/${req.params.id}`, {
-      headers: { 'Authorization': req.headers['authorization'] }
-    });
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch order'
-    });
+  req.user = { apiKeyId: apiKey.id, apiKeyName: apiKey.name, scopes: apiKey.scopes, roles: [] };
+  res.on('finish', () => {
+    console.log(`API key ${apiKey.id} (${apiKey.name}): ${req.method} ${req.originalUrl} ${res.statusCode}`);
+  });
+  next();
+};
+
+// Authentication for route table entries: an end-user JWT, or an API key when the request
+// carries X-API-Key and no Authorization header
+const authenticate = (scope) => (req, res, next) => {
+  if (req.headers['x-api-key'] && !req.headers['authorization']) {
+    return authenticateApiKey(scope)(req, res, next);
   }
+  authenticateToken(req, res, next);
+};
+
+// Route policies: which roles may perform a protected action
+const POLICIES = {
+  'products:write': ['staff', 'admin'],
+  'roles:manage': ['admin'],
+  'ownership:bypass': ['staff', 'admin'],
+  'upstreams:read': ['admin'],
+  'apikeys:manage': ['admin'],
+  'accounts:unlock': ['staff', 'admin'],
+  'twofactor:manage': ['admin'],
+  'signingkeys:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+const rolesAllow = (user, allowedRoles) => (user?.roles || []).some(role => allowedRoles.includes(role));
+
+// Users required to use 2FA only get their role's policies in sessions signed in with it
+const missesTwoFactor = (user) => Boolean(user?.twoFactorRequired) && user.twoFactor !== true;
+
+// Check whether an authenticated user satisfies a policy. An API key satisfies
+// a policy only when it was granted the scope of the same name, and a user
+// required to use 2FA only when signed in with it.
+const hasPolicy = (user, policy) => {
+  const allowedRoles = POLICIES[policy];
+  if (!allowedRoles) {
+    throw new Error(`Unknown authorization policy: ${policy}`);
+  }
+  if (user?.apiKeyId) {
+    return user.scopes.includes(policy);
+  }
+  return rolesAllow(user, allowedRoles) && !missesTwoFactor(user);
+};
+
+// Authorization Middleware (must run after authenticateToken)
+const authorize = (policy) => {
+  if (!POLICIES[policy]) {
+    throw new Error(`Unknown authorization policy: ${policy}`);
+  }
+
+  return (req, res, next) => {
+    if (!hasPolicy(req.user, policy)) {
+      if (!req.user.apiKeyId && rolesAllow(req.user, POLICIES[policy]) && missesTwoFactor(req.user)) {
+        return res.status(403).json({ error: 'Two-factor authentication is required for this action', twoFactorRequired: true });
+      }
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+};
+
+// Owner scope for single-resource lookups. Services answer 404 when the resource
+// belongs to someone else; only roles granted 'ownership:bypass' see everything.
+// API keys act for no user: the route's scope already decided what they may read.
+const ownerScope = (req) => {
+  if (req.user.apiKeyId || hasPolicy(req.user, 'ownership:bypass')) {
+    return {};
+  }
+  return { userId: req.user.userId };
+};
+
+// Routes flagged `requiresVerifiedEmail` (placing orders) are closed to users who have not
+// confirmed their email address. The claim comes from the access token, so it changes
+// with the next refresh after verification. API keys act for no user and are not checked.
+const requireVerifiedEmail = (req, res, next) => {
+  if (REQUIRE_VERIFIED_EMAIL && !req.user.apiKeyId && req.user.emailVerified !== true) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+  next();
+};
+
+// Health check (liveness)
+app.get(['/health', '/health/live'], (req, res) => {
+  res.json({ status: 'ok', service: 'api-gateway' });
 });
 
-// Payment endpoints (protected)
-app.post('/api/payments', authenticateToken, async (req, res) => {
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS) || 3000;
+
+// The gateway's own dependency: Redis backs token revocation
+const checkRedis = async () => {
+  const started = Date.now();
   try {
-    const paymentData = { ...req.body, userId: req.user.userId };
-    const response = await axios.post(`${PAYMENT_SERVICE_URL}/payments`, paymentData, {
-      headers: { 'Authorization': req.headers['authorization'] }
-    });
-    res.json(response.data);
+    if (!redisClient?.isReady) {
+      throw new Error('not connected');
+    }
+    await redisClient.ping();
+    return { status: 'up', latencyMs: Date.now() - started };
   } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Payment failed'
-    });
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
   }
-});
+};
 
-// Notification endpoints (protected)
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+// Readiness of a downstream service. Bypasses the upstream client on purpose:
+// health probes must neither retry nor trip the circuit breakers.
+const checkService = async (upstream) => {
+  const started = Date.now();
   try {
-    const response = await axios.get(`${NOTIFICATION_SERVICE_URL}/notifications`, {
-      headers: { 'Authorization': req.headers['authorization'] },
-      params: { userId: req.user.userId }
+    const response = await axios.get(`${upstream.baseURL}/health/ready`, {
+      headers: correlation.headers(),
+      timeout: HEALTH_TIMEOUT_MS,
+      validateStatus: status => status === 200 || status === 503
     });
-    res.json(response.data);
+    return { ...response.data, latencyMs: Date.now() - started, circuit: upstream.status().state };
   } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch notifications'
-    });
+    return { status: 'error', latencyMs: Date.now() - started, circuit: upstream.status().state, error: error.message };
   }
+};
+
+app.get('/health/ready', async (req, res) => {
+  const redisStatus = await checkRedis();
+  const status = redisStatus.status === 'up' ? 'ok' : 'error';
+  res.status(status === 'ok' ? 200 : 503).json({ status, service: 'api-gateway', dependencies: { redis: redisStatus } });
 });
 
-// Product endpoints (protected)
-app.get('/api/products', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.get(`${PRODUCT_SERVICE_URL}/products`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch products'
-    });
+// Operational endpoints, served on INTERNAL_PORT only
+const internalApp = express();
+internalApp.use(correlation.middleware());
+
+// Deep health: the gateway's own dependencies plus the readiness of every service
+internalApp.get('/health/deep', async (req, res) => {
+  const [redisStatus, ...serviceStatuses] = await Promise.all([checkRedis(), ...Object.values(upstreams).map(checkService)]);
+  const services = Object.fromEntries(Object.keys(upstreams).map((name, i) => [name, serviceStatuses[i]]));
+
+  let status = 'ok';
+  if (redisStatus.status === 'down' || serviceStatuses.some(service => service.status === 'error')) {
+    status = 'error';
+  } else if (serviceStatuses.some(service => service.status === 'degraded')) {
+    status = 'degraded';
   }
+
+  res.status(status === 'error' ? 503 : 200).json({
+    status,
+    service: 'api-gateway',
+    checkedAt: new Date().toISOString(),
+    dependencies: { redis: redisStatus },
+    services
+  });
 });
 
-app.get('/api/products/:id', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.get(`${PRODUCT_SERVICE_URL}/products/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to fetch product'
-    });
-  }
+// Cached upstream responses (route table `cache` / `invalidates`)
+const responseCache = createResponseCache(redisClient);
+
+// Request bodies are validated against the schemas shared with the services
+const validateBody = createBodyValidator({ Ajv, addFormats });
+
+// Proxied routes, declared in the route table
+mountRoutes(app, routeTable, upstreams, {
+  authenticate,
+  limitRate,
+  authorize,
+  requireVerifiedEmail,
+  validateBody,
+  ownerScope,
+  responseCache,
+  versioning
 });
 
-app.post('/api/products', authenticateToken, async (req, res) => {
+// Payments need an ownership check against order-service before proxying
+versioning.mount(app, 'POST', '/api/payments', authenticateToken, limitRate('write'), express.json(), transformRequest, validateBody('payment.create'), async (req, res) => {
   try {
-    const response = await axios.post(`${PRODUCT_SERVICE_URL}/products`, req.body);
-    res.status(201).json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to create product'
+    // Only the order's owner may pay for it; the payment is always attributed to the owner
+    const order = await upstreams['order-service'].get(`/orders/${req.body.orderId}`, {
+      params: ownerScope(req)
     });
-  }
-});
 
-app.put('/api/products/:id', authenticateToken, async (req, res) => {
-  try {
-    const response = await axios.put(`${PRODUCT_SERVICE_URL}/products/${req.params.id}`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to update product'
+    const paymentData = { ...req.body, userId: order.data.userId };
+    const response = await upstreams['payment-service'].post('/payments', paymentData, {
+      headers: { 'Authorization': req.headers['authorization'] }
     });
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    sendUpstreamError(res, error, 'Payment failed');
   }
 });
 
-app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+// Circuit breaker state of every upstream service
+versioning.mount(app, 'GET', '/api/admin/upstreams', authenticateToken, limitRate('admin'), authorize('upstreams:read'), (req, res) => {
+  res.json(Object.values(upstreams).map(upstream => upstream.status()));
+});
+
+// GraphQL view across the services; upstream calls are batched per request
+versioning.mount(app, 'POST', '/api/graphql', authenticateToken, limitRate(), express.json(), createGraphqlHandler(upstreams, { ownerScope }));
+
+// Web app home page in one request; sections that fail are reported in `errors`
+versioning.mount(app, 'GET', '/api/dashboard', authenticateToken, limitRate(), createDashboardHandler(upstreams));
+
+versioning.verify();
+
+// OpenAPI document: the route table plus the routes handled directly above
+const openApiDocument = buildOpenApiDocument({
+  routes: [
+    ...routeTable.routes,
+    { method: 'POST', path: '/api/payments', summary: 'Pay for one of your orders', requestSchema: 'payment.create' },
+    { method: 'GET', path: '/api/admin/upstreams', summary: 'Circuit breaker state of every upstream', policy: 'upstreams:read' },
+    { method: 'POST', path: '/api/graphql', summary: 'GraphQL queries over users, orders, payments, products and notifications' },
+    { method: 'GET', path: '/api/dashboard', summary: 'Profile, recent orders, unread notification count and featured products in one response' }
+  ],
+  schemas,
+  policies: POLICIES,
+  apiKeyScopes: API_KEY_SCOPES,
+  versions: versioning.versions
+});
+
+app.get('/api/docs', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// user-service's public signing keys, for clients that verify access tokens themselves
+app.get('/.well-known/jwks.json', async (req, res) => {
   try {
-    const response = await axios.delete(`${PRODUCT_SERVICE_URL}/products/${req.params.id}`);
-    res.json(response.data);
+    res.set('Cache-Control', `public, max-age=${JWKS_CACHE_SECONDS}`);
+    res.json(await accessTokens.getJwks());
   } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.error || 'Failed to delete product'
-    });
+    console.error('JWKS error:', error.message);
+    res.status(503).json({ error: 'Signing keys unavailable' });
   }
 });
 
-app.listen(PORT, () => {
+// Prometheus scrape endpoint
+internalApp.get('/metrics', metrics.handler);
+
+const server = app.listen(PORT, () => {
   console.log(`API Gateway running on port ${PORT}`);
 });
+
+internalApp.listen(INTERNAL_PORT, () => {
+  console.log(`API Gateway metrics and deep health on port ${INTERNAL_PORT}`);
+});
+
+// Notification WebSocket at /ws, authenticated here and proxied to notification-service
+server.on('upgrade', createWebSocketProxy({
+  path: '/ws',
+  upstream: upstreams['notification-service'],
+  verifyAccessToken
+}));
@@ -0,0 +1,141 @@
+// OpenAPI 3.1 document for the public API, generated from the route table so the
+// published contract and the gateway's routing and validation cannot drift apart.
+// Request bodies reference the shared JSON schemas the gateway validates against.
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// '/api/orders/:id' -> '/api/orders/{id}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParameters = (path) => [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'string' }
+}));
+
+// JSON Schema keywords that do not belong inside components.schemas
+const toComponentSchema = ({ $id, $schema, ...schema }) => schema;
+
+const describeOperation = (route, policies, apiKeyScopes) => {
+  const operation = {
+    summary: route.summary,
+    tags: [route.path.split('/')[2]],
+    responses: { '2XX': { description: 'Success' } }
+  };
+
+  const parameters = pathParameters(route.path);
+  if (parameters.length) {
+    operation.parameters = parameters;
+  }
+
+  if (route.requestSchema) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.requestSchema}` } } }
+    };
+    operation.responses['400'] = errorResponse('Request body failed validation', 'ValidationError');
+  }
+
+  const keyScope = route.scope || route.policy;
+  if (route.public) {
+    operation.security = [];
+  } else {
+    if (apiKeyScopes.includes(keyScope)) {
+      operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+      operation['x-api-key-scope'] = keyScope;
+    }
+    operation.responses['401'] = errorResponse('Missing or revoked access token');
+    operation.responses['403'] = errorResponse('Invalid access token or insufficient role');
+  }
+  if (route.policy) {
+    operation.description = `Requires one of the roles: ${policies[route.policy].join(', ')}.`;
+  }
+  if (route.requiresVerifiedEmail) {
+    operation.description = [operation.description, 'Requires a verified email address.'].filter(Boolean).join(' ');
+    operation.responses['403'] = errorResponse('Invalid access token, insufficient role or unverified email address');
+  }
+  if (route.ownerScope || parameters.length) {
+    operation.responses['404'] = errorResponse('Not found');
+  }
+
+  operation.responses['429'] = errorResponse('Rate limit exceeded');
+  operation.responses['502'] = errorResponse('Upstream service unreachable');
+  operation.responses['503'] = errorResponse('Upstream service temporarily unavailable');
+  operation.responses['504'] = errorResponse('Upstream service timed out');
+  return operation;
+};
+
+// One line per API version, e.g. 'v1: /api, /api/v1 (deprecated, sunset 2027-04-30, use v2)'
+const describeVersion = ({ name, prefixes, deprecation, sunset, successor }) => {
+  const notes = [
+    deprecation && 'deprecated',
+    sunset && `sunset ${sunset.toISOString().slice(0, 10)}`,
+    successor && `use ${successor}`
+  ].filter(Boolean);
+  return `- ${name}: ${prefixes.join(', ')}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+};
+
+const buildOpenApiDocument = ({ routes, schemas, policies, apiKeyScopes = [], versions = [] }) => {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: describeOperation(route, policies, apiKeyScopes) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'ShopHub API',
+      version: '1.0.0',
+      description: [
+        'Public REST API exposed by the API gateway.',
+        ...(versions.length
+          ? ['', 'Paths are listed with the /api prefix and are served under the prefixes of every API version:', ...versions.map(describeVersion)]
+          : [])
+      ].join('\n')
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Accepted on operations that list an x-api-key-scope; the key must hold that scope.'
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: { error: { type: 'string' } }
+        },
+        ValidationError: {
+          type: 'object',
+          required: ['error', 'details'],
+          properties: {
+            error: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['field', 'message'],
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          }
+        },
+        ...Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, toComponentSchema(schema)]))
+      }
+    }
+  };
+};
+
+module.exports = { buildOpenApiDocument };
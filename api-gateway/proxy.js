@@ -0,0 +1,326 @@
+const fs = require('fs');
+const express = require('express');
+const { sendUpstreamError } = require('./upstream');
+const { transformRequest } = require('./versions');
+const { USER_HEADER } = require('../shared/internal-auth');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Client headers passed on to upstream services. X-User-Id is never taken from the client.
+const FORWARDED_REQUEST_HEADERS = [
+  'accept', 'accept-language', 'authorization', 'content-type', 'content-length',
+  'if-none-match', 'if-modified-since', 'user-agent'
+];
+
+// Conditional request headers, answered by the gateway itself for cached routes
+const CONDITIONAL_REQUEST_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Upstream response headers kept with a cached response
+const CACHED_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control'];
+
+// Connection-level headers that must not be copied from an upstream response
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'x-powered-by'
+];
+
+// Upstream headers describing the exact bytes it sent, dropped when the gateway re-encodes the body
+const REPRESENTATION_HEADERS = ['content-length', 'content-encoding', 'etag', 'last-modified'];
+
+// Load and validate the route table. Misconfiguration fails at startup, not per request.
+const loadRouteTable = (file) => {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const route of table.routes) {
+    const label = `${route.method} ${route.path}`;
+    if (!METHODS.includes(route.method)) {
+      throw new Error(`Route ${label}: unsupported method`);
+    }
+    if (!table.upstreams[route.upstream]) {
+      throw new Error(`Route ${label}: unknown upstream '${route.upstream}'`);
+    }
+    if (!route.path.startsWith('/api/')) {
+      throw new Error(`Route ${label}: path must start with '/api/'`);
+    }
+    if (typeof route.target !== 'string' || !route.target.startsWith('/')) {
+      throw new Error(`Route ${label}: target must be a path starting with '/'`);
+    }
+    if (route.public && (route.policy || route.scope || route.ownerScope || route.inject || route.requiresVerifiedEmail)) {
+      throw new Error(`Route ${label}: public routes cannot use policy, scope, ownerScope, inject or requiresVerifiedEmail`);
+    }
+    if (!table.rateLimits[route.rateLimit || 'default']) {
+      throw new Error(`Route ${label}: unknown rate limit group '${route.rateLimit}'`);
+    }
+    if (route.requestSchema && route.method === 'GET') {
+      throw new Error(`Route ${label}: GET routes cannot declare a requestSchema`);
+    }
+    if (route.cache && (route.method !== 'GET' || route.ownerScope || route.inject || !route.cache.tag || !(route.cache.ttlSeconds > 0))) {
+      throw new Error(`Route ${label}: cache needs a tag and ttlSeconds, and only applies to GET routes that do not vary by user`);
+    }
+    if (route.invalidates && (route.method === 'GET' || !Array.isArray(route.invalidates))) {
+      throw new Error(`Route ${label}: invalidates must be a list of cache tags on a write route`);
+    }
+  }
+
+  return table;
+};
+
+// Resolve a dotted path such as 'user.userId' against the request context
+const resolve = (context, path) => path.split('.').reduce((value, key) => value?.[key], context);
+
+const expandTarget = (template, context) =>
+  template.replace(/\{([\w.]+)\}/g, (match, path) => encodeURIComponent(resolve(context, path)));
+
+const injectedValues = (mapping = {}, context) =>
+  Object.fromEntries(Object.entries(mapping).map(([key, path]) => [key, resolve(context, path)]));
+
+const pipeResponse = (upstreamResponse, res) => {
+  const headers = headersOf(upstreamResponse);
+  res.status(upstreamResponse.status);
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+      res.setHeader(name, value);
+    }
+  }
+  res.on('close', () => upstreamResponse.data.destroy());
+  upstreamResponse.data.pipe(res);
+};
+
+const headersOf = (upstreamResponse) =>
+  (upstreamResponse.headers.toJSON ? upstreamResponse.headers.toJSON() : upstreamResponse.headers);
+
+// Send a buffered upstream response. Successful JSON bodies go through res.json, so the
+// API version's response transformer applies and Express computes the ETag of what is sent.
+const sendBuffered = (res, { status, headers, body }) => {
+  const isJson = status >= 200 && status < 300 && /json/.test(headers['content-type'] || '');
+  let data;
+  if (isJson) {
+    // A truncated or malformed upstream body is a bad gateway, not a crash of this handler
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      console.error('Invalid JSON from upstream:', error.message);
+      return res.status(502).json({ error: 'Invalid response from upstream' });
+    }
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase()) && !REPRESENTATION_HEADERS.includes(name.toLowerCase())) {
+      res.setHeader(name, value);
+    }
+  }
+  res.status(status);
+  if (isJson) {
+    return res.json(data);
+  }
+  res.send(body);
+};
+
+// The client IP is passed as X-Forwarded-For so upstreams that trust the gateway see it
+const forwardedHeaders = (req, names = FORWARDED_REQUEST_HEADERS) => {
+  const headers = { 'accept-encoding': req.headers['accept-encoding'] || 'identity', 'x-forwarded-for': req.ip };
+  for (const name of names) {
+    if (req.headers[name] !== undefined) {
+      headers[name] = req.headers[name];
+    }
+  }
+  // The signed-in user the request is made for, trusted by services next to the internal token
+  if (req.user?.userId) {
+    headers[USER_HEADER] = String(req.user.userId);
+  }
+  return headers;
+};
+
+// Drop cached responses made stale by a successful write. A Redis failure only costs
+// freshness until the entries expire, so it does not fail the request.
+const invalidateCache = async (route, responseCache) => {
+  if (!route.invalidates || !responseCache?.isAvailable()) return;
+  try {
+    await responseCache.invalidate(route.invalidates);
+  } catch (error) {
+    console.error('Response cache invalidation failed:', error.message);
+  }
+};
+
+// A route that validates or injects into its body has to parse it, and then re-sends it as JSON
+const parsesBody = (route) => Boolean(route.requestSchema || route.inject?.body);
+
+// Headers for a request whose response the gateway reads in full: the client's validators
+// are checked against the full representation by the gateway, not by the upstream
+const bufferedRequestHeaders = (req) => {
+  const headers = forwardedHeaders(req, FORWARDED_REQUEST_HEADERS.filter(name => !CONDITIONAL_REQUEST_HEADERS.includes(name)));
+  headers['accept-encoding'] = 'identity';
+  return headers;
+};
+
+// Generic proxy for one route table entry. Request and response bodies are streamed
+// unless the route parses its body (`parseBody`), in which case the JSON body is
+// re-serialized, or the API version transforms its responses, in which case the
+// response is buffered. Upstream status codes and headers are passed through unchanged.
+const createProxyHandler = (route, upstream, { ownerScope, responseCache, parseBody }) => async (req, res) => {
+  const context = { user: req.user, params: req.params };
+  const buffered = Boolean(req.apiTransformer?.response);
+  const headers = buffered ? bufferedRequestHeaders(req) : forwardedHeaders(req);
+
+  let data;
+  if (parseBody) {
+    data = { ...req.body, ...injectedValues(route.inject?.body, context) };
+    headers['content-type'] = 'application/json';
+    delete headers['content-length'];
+  } else if (req.method !== 'GET' && (req.headers['content-length'] || req.headers['transfer-encoding'])) {
+    data = req;
+  }
+
+  const params = {
+    ...req.query,
+    ...injectedValues(route.inject?.query, context),
+    ...(route.ownerScope ? ownerScope(req) : {})
+  };
+
+  try {
+    const response = await upstream.request({
+      method: req.method.toLowerCase(),
+      url: expandTarget(route.target, context),
+      params,
+      data,
+      headers,
+      responseType: buffered ? 'text' : 'stream',
+      decompress: false
+    });
+    await invalidateCache(route, responseCache);
+    if (buffered) {
+      return sendBuffered(res, { status: response.status, headers: headersOf(response), body: response.data });
+    }
+    pipeResponse(response, res);
+  } catch (error) {
+    if (error.response) {
+      return buffered
+        ? sendBuffered(res, { status: error.response.status, headers: headersOf(error.response), body: error.response.data })
+        : pipeResponse(error.response, res);
+    }
+    sendUpstreamError(res, error, route.error || 'Upstream request failed');
+  }
+};
+
+// Serve a cached response, answering conditional requests with 304
+const sendCached = (req, res, entry, cacheStatus) => {
+  res.set('X-Cache', cacheStatus);
+  if (req.apiTransformer?.response) {
+    return sendBuffered(res, entry);
+  }
+  for (const [name, value] of Object.entries(entry.headers)) {
+    res.setHeader(name, value);
+  }
+  // req.fresh only holds for a 2xx status, so set it first
+  res.status(entry.status);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(entry.body);
+};
+
+// Cache key URL: the upstream request, so every API version and v2 page shares one entry
+const cacheUrl = (route, req) => {
+  const query = new URLSearchParams();
+  for (const name of Object.keys(req.query).sort()) {
+    for (const value of [].concat(req.query[name])) {
+      query.append(name, value);
+    }
+  }
+  const target = expandTarget(route.target, { params: req.params });
+  return String(query) ? `${target}?${query}` : target;
+};
+
+// Proxy for routes with a `cache` entry: 200 responses are buffered and kept in Redis
+// for `ttlSeconds` under the route's tag, keyed by upstream URL. Without Redis the route
+// falls back to the streaming proxy.
+const createCachedHandler = (route, upstream, responseCache, proxy) => async (req, res) => {
+  if (!responseCache.isAvailable()) {
+    return proxy(req, res);
+  }
+
+  let key;
+  try {
+    const lookup = await responseCache.lookup(route.cache.tag, cacheUrl(route, req));
+    if (lookup.entry) {
+      return sendCached(req, res, lookup.entry, 'HIT');
+    }
+    key = lookup.key;
+  } catch (error) {
+    console.error('Response cache lookup failed:', error.message);
+    return proxy(req, res);
+  }
+
+  let response;
+  try {
+    response = await upstream.request({
+      method: 'get',
+      url: expandTarget(route.target, { params: req.params }),
+      params: req.query,
+      headers: bufferedRequestHeaders(req),
+      responseType: 'text'
+    });
+  } catch (error) {
+    if (!error.response) {
+      return sendUpstreamError(res, error, route.error || 'Upstream request failed');
+    }
+    response = error.response;
+  }
+
+  const entry = {
+    status: response.status,
+    headers: Object.fromEntries(CACHED_RESPONSE_HEADERS
+      .filter(name => response.headers[name] !== undefined)
+      .map(name => [name, response.headers[name]])),
+    body: response.data
+  };
+  if (response.status === 200) {
+    try {
+      await responseCache.store(key, entry, route.cache.ttlSeconds);
+    } catch (error) {
+      console.error('Response cache store failed:', error.message);
+    }
+  }
+  sendCached(req, res, entry, 'MISS');
+};
+
+// Register every route in the table on the app, under every API version. `authenticate`,
+// `limitRate`, `authorize`, `requireVerifiedEmail`, `validateBody`, `ownerScope`, `responseCache`
+// and `versioning` come from the gateway so the table only names scopes, groups, policies,
+// schemas and cache tags.
+const mountRoutes = (app, table, upstreams, { authenticate, limitRate, authorize, requireVerifiedEmail, validateBody, ownerScope, responseCache, versioning }) => {
+  for (const route of table.routes) {
+    // A version's body transformer needs the parsed body even where v1 streams it
+    const parseBody = parsesBody(route) || versioning.transformsBody(route.method, route.path);
+    const middleware = [];
+    if (!route.public) {
+      // API keys need the route's scope, which defaults to its policy
+      middleware.push(authenticate(route.scope || route.policy));
+    }
+    middleware.push(limitRate(route.rateLimit));
+    if (route.policy) {
+      middleware.push(authorize(route.policy));
+    }
+    if (route.requiresVerifiedEmail) {
+      middleware.push(requireVerifiedEmail);
+    }
+    if (parseBody) {
+      middleware.push(express.json());
+    }
+    middleware.push(transformRequest);
+    if (route.requestSchema) {
+      middleware.push(validateBody(route.requestSchema));
+    }
+
+    const upstream = upstreams[route.upstream];
+    const proxy = createProxyHandler(route, upstream, { ownerScope, responseCache, parseBody });
+    versioning.mount(
+      app,
+      route.method,
+      route.path,
+      ...middleware,
+      route.cache ? createCachedHandler(route, upstream, responseCache, proxy) : proxy
+    );
+  }
+};
+
+module.exports = { loadRouteTable, mountRoutes };
@@ -0,0 +1,39 @@
+// express-rate-limit store keeping fixed-window hit counters in Redis, so every
+// gateway instance behind nginx shares the same counts. It fails fast while Redis
+// is unreachable; the limiters are configured to let requests through in that case.
+const createRedisStore = (redisClient, prefix) => {
+  let windowMs;
+
+  const ensureReady = () => {
+    if (!redisClient.isReady) {
+      throw new Error('Redis not connected');
+    }
+  };
+
+  return {
+    prefix,
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async increment(key) {
+      ensureReady();
+      // Create the window with its expiry and count the hit atomically
+      const [, totalHits, ttl] = await redisClient.multi()
+        .set(prefix + key, '0', { PX: windowMs, NX: true })
+        .incr(prefix + key)
+        .pTTL(prefix + key)
+        .exec();
+      return { totalHits, resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    },
+    async decrement(key) {
+      ensureReady();
+      await redisClient.decr(prefix + key);
+    },
+    async resetKey(key) {
+      ensureReady();
+      await redisClient.del(prefix + key);
+    }
+  };
+};
+
+module.exports = { createRedisStore };
@@ -0,0 +1,39 @@
+const { rateLimit } = require('express-rate-limit');
+const { createRedisStore } = require('./rate-limit-store');
+
+// Rate limiting: one Redis-backed limiter per route group, shared by every gateway
+// instance. Authenticated requests are counted per user or API key, public ones per
+// client IP. A user's quota is the largest one granted to any of their roles; API keys
+// get the group's `apiKey` quota.
+const quotaFor = (user, limits) => {
+  if (user?.apiKeyId) {
+    return limits.apiKey ?? limits.default;
+  }
+  const quotas = (user?.roles || []).map(role => limits[role] ?? limits.default);
+  return Math.max(limits.default, ...quotas);
+};
+
+// Counter key of a request. req.ip only honours X-Forwarded-For from the proxies the app's
+// `trust proxy` setting names, so clients cannot pick their own key.
+const rateLimitKey = (req) => {
+  if (req.user?.apiKeyId) return `apikey:${req.user.apiKeyId}`;
+  return req.user ? `user:${req.user.userId}` : `ip:${req.ip}`;
+};
+
+// Limiter middleware per group of the route table's `rateLimits`
+const createRateLimiters = (rateLimits, redisClient) => Object.fromEntries(
+  Object.entries(rateLimits).map(([group, { windowSeconds, limits }]) => [
+    group,
+    rateLimit({
+      windowMs: windowSeconds * 1000,
+      limit: (req) => quotaFor(req.user, limits),
+      keyGenerator: rateLimitKey,
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      passOnStoreError: true,
+      store: createRedisStore(redisClient, `rl:${group}:`)
+    })
+  ])
+);
+
+module.exports = { quotaFor, rateLimitKey, createRateLimiters };
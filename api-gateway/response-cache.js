@@ -0,0 +1,29 @@
+// Redis-backed cache of upstream GET responses, grouped by tag (e.g. 'products').
+// Every tag has a version number that is part of its entry keys, so invalidating a
+// tag is a single INCR; entries written under an older version are never read again
+// and expire on their own.
+const createResponseCache = (redisClient, prefix = 'cache:') => {
+  const versionKey = (tag) => `${prefix}${tag}:version`;
+
+  return {
+    isAvailable: () => redisClient.isReady,
+
+    // Returns the entry key for this tag version and the cached entry, if any
+    async lookup(tag, url) {
+      const version = (await redisClient.get(versionKey(tag))) || 0;
+      const key = `${prefix}${tag}:${version}:${url}`;
+      const cached = await redisClient.get(key);
+      return { key, entry: cached ? JSON.parse(cached) : null };
+    },
+
+    async store(key, entry, ttlSeconds) {
+      await redisClient.setEx(key, ttlSeconds, JSON.stringify(entry));
+    },
+
+    async invalidate(tags) {
+      await Promise.all(tags.map(tag => redisClient.incr(versionKey(tag))));
+    }
+  };
+};
+
+module.exports = { createResponseCache };
@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { quotaFor, rateLimitKey, createRateLimiters } = require('../rate-limit');
+
+// The Redis commands the rate limit store uses, in memory
+const createFakeRedis = () => {
+  const counters = new Map();
+  const commands = {
+    set: (key, value, { NX }) => {
+      if (!(NX && counters.has(key))) counters.set(key, parseInt(value));
+    },
+    incr: (key) => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key);
+    },
+    pTTL: () => 60000
+  };
+  return {
+    isReady: true,
+    counters,
+    multi() {
+      const queued = [];
+      const transaction = {
+        set: (...args) => { queued.push(['set', args]); return transaction; },
+        incr: (...args) => { queued.push(['incr', args]); return transaction; },
+        pTTL: (...args) => { queued.push(['pTTL', args]); return transaction; },
+        exec: async () => queued.map(([command, args]) => commands[command](...args))
+      };
+      return transaction;
+    },
+    async decr(key) { counters.set(key, counters.get(key) - 1); },
+    async del(key) { counters.delete(key); }
+  };
+};
+
+const LIMITS = { auth: { windowSeconds: 60, limits: { default: 2, admin: 4, apiKey: 3 } } };
+
+let redisClient;
+beforeEach(() => { redisClient = createFakeRedis(); });
+
+// A gateway-like app: `trustProxy` as configured by TRUST_PROXY, and the signed-in user
+// taken from a test header where authenticateToken would set it
+const startApp = async (trustProxy) => {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use((req, res, next) => {
+    if (req.get('x-test-user')) req.user = JSON.parse(req.get('x-test-user'));
+    next();
+  });
+  app.get('/limited', createRateLimiters(LIMITS, redisClient).auth, (req, res) => res.json({ ok: true }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    request: (headers = {}) => fetch(`http://127.0.0.1:${server.address().port}/limited`, { headers }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const statuses = async (count, request) => {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push((await request()).status);
+  }
+  return results;
+};
+
+test('public requests are counted per client IP as appended by the trusted proxy', async () => {
+  const app = await startApp(1);
+  try {
+    // Whatever a client puts in front, nginx appends the address it saw last
+    let forged = 0;
+    const results = await statuses(3, () => app.request({ 'X-Forwarded-For': `10.0.0.${++forged}, 203.0.113.5` }));
+
+    assert.deepStrictEqual(results, [200, 200, 429]);
+    assert.strictEqual(redisClient.counters.get('rl:auth:ip:203.0.113.5'), 3);
+  } finally {
+    await app.close();
+  }
+});
+
+test('X-Forwarded-For is ignored when the proxy is not trusted', async () => {
+  const app = await startApp(false);
+  try {
+    let forged = 0;
+    const results = await statuses(3, () => app.request({ 'X-Forwarded-For': `198.51.100.${++forged}` }));
+
+    assert.deepStrictEqual(results, [200, 200, 429]);
+    assert.deepStrictEqual([...redisClient.counters.keys()], ['rl:auth:ip:127.0.0.1']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('signed-in users are counted per user id, whatever their IP', async () => {
+  const app = await startApp(1);
+  try {
+    const asUser = (userId, ip) => () => app.request({
+      'x-test-user': JSON.stringify({ userId, roles: ['customer'] }),
+      'X-Forwarded-For': ip
+    });
+
+    assert.deepStrictEqual(await statuses(2, asUser(7, '203.0.113.5')), [200, 200]);
+    assert.deepStrictEqual(await statuses(1, asUser(7, '203.0.113.6')), [429]);
+    assert.deepStrictEqual(await statuses(2, asUser(8, '203.0.113.5')), [200, 200]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rate limit keys', () => {
+  assert.strictEqual(rateLimitKey({ ip: '203.0.113.5' }), 'ip:203.0.113.5');
+  assert.strictEqual(rateLimitKey({ ip: '203.0.113.5', user: { userId: 7, roles: [] } }), 'user:7');
+  assert.strictEqual(rateLimitKey({ ip: '203.0.113.5', user: { userId: 7, apiKeyId: 3 } }), 'apikey:3');
+});
+
+test('a user gets the largest quota of their roles, an API key the apiKey quota', () => {
+  const { limits } = LIMITS.auth;
+  assert.strictEqual(quotaFor(undefined, limits), 2);
+  assert.strictEqual(quotaFor({ roles: ['customer'] }, limits), 2);
+  assert.strictEqual(quotaFor({ roles: ['customer', 'admin'] }, limits), 4);
+  assert.strictEqual(quotaFor({ apiKeyId: 3, roles: ['admin'] }, limits), 3);
+  assert.strictEqual(quotaFor({ apiKeyId: 3 }, { default: 2 }), 2);
+});
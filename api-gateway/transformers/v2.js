@@ -0,0 +1,108 @@
+// API v2 payload transformers, keyed by the v1 route ("METHOD /api/path") they adapt.
+// The services keep speaking v1: money as decimal amounts and lists as bare arrays.
+// v2 clients send and receive money as integer cents, and lists come in a pagination envelope.
+//
+// Each entry may define:
+//   query(req)          read or rewrite req.query before proxying
+//   body(body)          return the v1 request body for a v2 one
+//   response(body, req) return the v2 response body for a successful v1 one
+// Transformers report client mistakes by throwing requestError(...).
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const requestError = (message, details) => Object.assign(new Error(message), { status: 400, details });
+
+const toCents = (amount) => (typeof amount === 'number' ? Math.round(amount * 100) : amount);
+
+// Convert the money fields at `paths` (dotted, with [] for every array element) from cents.
+// Missing fields are left for schema validation to report.
+const fromCents = (body, paths) => {
+  const details = [];
+  const convert = (value, segments, field) => {
+    if (value === null || typeof value !== 'object') return value;
+    const [segment, ...rest] = segments;
+    if (segment === '[]') {
+      return Array.isArray(value)
+        ? value.map((item, i) => convert(item, rest, `${field}[${i}]`))
+        : value;
+    }
+    const name = field ? `${field}.${segment}` : segment;
+    if (!(segment in value)) return value;
+    if (rest.length) return { ...value, [segment]: convert(value[segment], rest, name) };
+    if (!Number.isInteger(value[segment])) {
+      details.push({ field: name, message: 'must be an integer number of cents' });
+      return value;
+    }
+    return { ...value, [segment]: value[segment] / 100 };
+  };
+
+  const result = paths.reduce((current, path) => convert(current, path.replace(/\[\]/g, '.[]').split('.'), ''), body);
+  if (details.length) {
+    throw requestError('Invalid request body', details);
+  }
+  return result;
+};
+
+// ?page (from 1) and ?pageSize select a page; both are consumed here, not forwarded
+const readPagination = (req) => {
+  const details = [];
+  const read = (name, fallback, max = Infinity) => {
+    if (req.query[name] === undefined) return fallback;
+    const value = Number(req.query[name]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      details.push({ field: name, message: max === Infinity ? 'must be a positive integer' : `must be an integer between 1 and ${max}` });
+    }
+    delete req.query[name];
+    return value;
+  };
+
+  const page = read('page', 1);
+  const pageSize = read('pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  if (details.length) {
+    throw requestError('Invalid query parameters', details);
+  }
+  req.pagination = { page, pageSize };
+};
+
+const paginate = (items, { pagination }) => {
+  const { page, pageSize } = pagination;
+  return {
+    data: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: { page, pageSize, total: items.length, totalPages: Math.ceil(items.length / pageSize) }
+  };
+};
+
+const product = (p) => ({ ...p, price: toCents(p.price) });
+const order = (o) => ({
+  ...o,
+  totalAmount: toCents(o.totalAmount),
+  ...(Array.isArray(o.items) && { items: o.items.map(item => ({ ...item, price: toCents(item.price) })) })
+});
+const payment = (p) => ({ ...p, amount: toCents(p.amount) });
+
+const productBody = (body) => fromCents(body, ['price']);
+
+module.exports = {
+  'GET /api/products': { query: readPagination, response: (body, req) => paginate(body.map(product), req) },
+  'GET /api/products/:id': { response: product },
+  'POST /api/products': { body: productBody, response: product },
+  'PUT /api/products/:id': { body: productBody, response: product },
+
+  'GET /api/orders': { query: readPagination, response: (body, req) => paginate(body.map(order), req) },
+  'GET /api/orders/:id': { response: order },
+  'POST /api/orders': { body: (body) => fromCents(body, ['totalAmount', 'items[].price']), response: order },
+
+  'GET /api/payments/:id': { response: payment },
+  'POST /api/payments': { body: (body) => fromCents(body, ['amount']), response: payment },
+
+  'GET /api/notifications': { query: readPagination, response: paginate },
+
+  'GET /api/dashboard': {
+    response: (body) => ({
+      ...body,
+      recentOrders: body.recentOrders && body.recentOrders.map(order),
+      featuredProducts: body.featuredProducts && body.featuredProducts.map(product)
+    })
+  }
+};
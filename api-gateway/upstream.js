@@ -0,0 +1,169 @@
+const axios = require('axios');
+const correlation = require('../shared/correlation');
+
+// Network failures worth retrying or counting against a breaker
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A failure is an unreachable, timed out or 5xx upstream; 4xx answers are the client's fault
+const isUpstreamFailure = (error) => !error.response || error.response.status >= 500;
+
+const isTransient = (error) => (error.response
+  ? TRANSIENT_STATUSES.includes(error.response.status)
+  : TRANSIENT_ERROR_CODES.includes(error.code));
+
+// Circuit breaker: opens after `failureThreshold` consecutive failures, fails fast
+// while open, and lets a single trial request through once `resetTimeoutMs` has passed.
+const createCircuitBreaker = ({ failureThreshold, resetTimeoutMs }) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const retryAfterMs = () => Math.max(0, openedAt + resetTimeoutMs - Date.now());
+
+  return {
+    // Returns true when a request may be sent
+    acquire() {
+      if (state === 'open' && retryAfterMs() === 0) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+    onSuccess() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    onFailure() {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half-open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+    retryAfterSeconds() {
+      return Math.max(1, Math.ceil(retryAfterMs() / 1000));
+    },
+    snapshot() {
+      return {
+        state,
+        consecutiveFailures: failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAfterSeconds: state === 'open' ? Math.ceil(retryAfterMs() / 1000) : 0
+      };
+    }
+  };
+};
+
+// Error thrown without calling the upstream while its breaker is open
+const circuitOpenError = (name, retryAfterSeconds) => {
+  const error = new Error(`${name} is unavailable`);
+  error.code = 'CIRCUIT_OPEN';
+  error.upstream = name;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+};
+
+// Shared HTTP client for one upstream service: timeout, retries with full jitter
+// for idempotent GETs, and a circuit breaker. Exposes get/post/put/delete like axios.
+// `headers` are sent with every request.
+const createUpstream = (name, baseURL, options = {}) => {
+  const {
+    timeoutMs = 5000,
+    retries = 2,
+    retryBaseDelayMs = 100,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    headers = {}
+  } = options;
+
+  const http = axios.create({ baseURL, timeout: timeoutMs, headers });
+  const breaker = createCircuitBreaker({ failureThreshold, resetTimeoutMs });
+
+  const send = async (config) => {
+    if (!breaker.acquire()) {
+      throw circuitOpenError(name, breaker.retryAfterSeconds());
+    }
+    try {
+      const response = await http.request({
+        ...config,
+        headers: { ...config.headers, ...correlation.headers() }
+      });
+      breaker.onSuccess();
+      return response;
+    } catch (error) {
+      if (isUpstreamFailure(error)) {
+        breaker.onFailure();
+      } else {
+        breaker.onSuccess();
+      }
+      throw error;
+    }
+  };
+
+  const request = async (config) => {
+    const attempts = config.method === 'get' ? retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(config);
+      } catch (error) {
+        if (attempt >= attempts || !isTransient(error)) {
+          throw error;
+        }
+        // Release the socket held by a discarded streamed response
+        error.response?.data?.destroy?.();
+        await sleep(Math.random() * retryBaseDelayMs * 2 ** attempt);
+      }
+    }
+  };
+
+  return {
+    name,
+    baseURL,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    status: () => ({ name, baseURL, timeoutMs, retries, ...breaker.snapshot() })
+  };
+};
+
+// Status and client-facing message for an upstream error
+const describeUpstreamError = (error, message) => {
+  if (error.code === 'CIRCUIT_OPEN') {
+    return { status: 503, error: `${message}: ${error.upstream} is temporarily unavailable`, retryAfterSeconds: error.retryAfterSeconds };
+  }
+  if (error.response) {
+    return { status: error.response.status, error: error.response.data?.error || message };
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return { status: 504, error: `${message}: upstream timed out` };
+  }
+  if (error.isAxiosError) {
+    return { status: 502, error: `${message}: upstream unreachable` };
+  }
+  console.error(`${message}:`, error);
+  return { status: 500, error: message };
+};
+
+// Translate an upstream error into the gateway response
+const sendUpstreamError = (res, error, message) => {
+  const { status, error: description, retryAfterSeconds } = describeUpstreamError(error, message);
+  if (retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+  }
+  res.status(status).json({ error: description });
+};
+
+module.exports = { createUpstream, describeUpstreamError, sendUpstreamError };
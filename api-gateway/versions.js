@@ -0,0 +1,138 @@
+// API versions, declared in the route table's `versions` section. Every gateway route is
+// registered under the prefixes of every version: today's /api/* paths are v1 (also served
+// as /api/v1/*) and /api/v2/* is v2. Services only speak v1, so a version's transformers,
+// keyed by the v1 route (e.g. 'GET /api/orders'), rewrite its requests into v1 ones and
+// v1 responses into its own format. Deprecated versions announce their retirement with
+// the Deprecation and Sunset headers and point to their successor with a Link header.
+const TRANSFORMERS = {
+  v2: require('./transformers/v2')
+};
+
+const API_PREFIX = '/api';
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`API version ${label}: invalid date '${value}'`);
+  }
+  return date;
+};
+
+// Validate the `versions` section. Misconfiguration fails at startup, not per request.
+const loadVersions = (config = {}) => Object.entries(config).map(([name, { prefixes, deprecation, sunset, successor }]) => {
+  if (!Array.isArray(prefixes) || !prefixes.length || prefixes.some(prefix => prefix !== API_PREFIX && !prefix.startsWith(`${API_PREFIX}/`))) {
+    throw new Error(`API version ${name}: prefixes must be a list of paths under ${API_PREFIX}`);
+  }
+  if (successor && !config[successor]) {
+    throw new Error(`API version ${name}: unknown successor '${successor}'`);
+  }
+  return {
+    name,
+    prefixes,
+    deprecation: deprecation && parseDate(deprecation, name),
+    sunset: sunset && parseDate(sunset, name),
+    successor,
+    transformers: TRANSFORMERS[name] || {}
+  };
+});
+
+// Successful JSON responses pass through the version's response transformer. A response
+// the transformer cannot handle is the upstream's fault, so it is answered with 502.
+const transformJsonResponses = (req, res, transform) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return json(body);
+    }
+    let transformed;
+    try {
+      transformed = transform(body, req);
+    } catch (error) {
+      console.error(`API ${req.apiVersion} response transform failed for ${req.method} ${req.originalUrl}:`, error.message);
+      res.status(502);
+      return json({ error: 'Unexpected upstream response' });
+    }
+    return json(transformed);
+  };
+};
+
+const createVersioning = (config) => {
+  const versions = loadVersions(config);
+  if (!versions.length) {
+    throw new Error('Route table must declare at least one API version');
+  }
+  const byName = Object.fromEntries(versions.map(version => [version.name, version]));
+  const mounted = new Set();
+
+  // First middleware of every versioned route
+  const enterVersion = (version, prefix, transformer) => (req, res, next) => {
+    req.apiVersion = version.name;
+    if (version.deprecation) {
+      res.set('Deprecation', `@${Math.floor(version.deprecation.getTime() / 1000)}`);
+    }
+    if (version.sunset) {
+      res.set('Sunset', version.sunset.toUTCString());
+    }
+    if (version.successor) {
+      const successorPath = byName[version.successor].prefixes[0] + req.originalUrl.slice(prefix.length);
+      res.set('Link', `<${successorPath}>; rel="successor-version"`);
+    }
+    if (transformer) {
+      req.apiTransformer = transformer;
+      if (transformer.response) {
+        transformJsonResponses(req, res, transformer.response);
+      }
+    }
+    next();
+  };
+
+  // Register `handlers` for a v1 path ('/api/...') under every version's prefixes
+  const mount = (app, method, path, ...handlers) => {
+    const key = `${method} ${path}`;
+    for (const version of versions) {
+      const transformer = version.transformers[key];
+      if (transformer) {
+        mounted.add(`${version.name} ${key}`);
+      }
+      for (const prefix of version.prefixes) {
+        app[method.toLowerCase()](prefix + path.slice(API_PREFIX.length), enterVersion(version, prefix, transformer), ...handlers);
+      }
+    }
+  };
+
+  // Whether any version rewrites this route's request body (the body then has to be parsed)
+  const transformsBody = (method, path) => versions.some(version => version.transformers[`${method} ${path}`]?.body);
+
+  // Fail startup when a transformer names a route that was never mounted
+  const verify = () => {
+    for (const version of versions) {
+      for (const key of Object.keys(version.transformers)) {
+        if (!mounted.has(`${version.name} ${key}`)) {
+          throw new Error(`API ${version.name} transformer for unknown route '${key}'`);
+        }
+      }
+    }
+  };
+
+  return { versions, mount, transformsBody, verify };
+};
+
+// Apply the version's query and body transformers. Runs after the body is parsed and
+// before it is validated, so v1 schemas check the rewritten body.
+const transformRequest = (req, res, next) => {
+  const transformer = req.apiTransformer;
+  try {
+    transformer?.query?.(req);
+    if (transformer?.body) {
+      req.body = transformer.body(req.body);
+    }
+  } catch (error) {
+    if (error.status !== 400) {
+      return next(error);
+    }
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  next();
+};
+
+module.exports = { createVersioning, transformRequest };
@@ -0,0 +1,70 @@
+const http = require('http');
+const correlation = require('../shared/correlation');
+const { handshakeToken, rejectUpgrade } = require('../shared/websocket');
+
+// Relay an upstream response's status line and headers on the client's raw socket
+const writeHead = (socket, upstreamResponse) => {
+  const lines = [`HTTP/1.1 ${upstreamResponse.statusCode} ${upstreamResponse.statusMessage}`];
+  for (let i = 0; i < upstreamResponse.rawHeaders.length; i += 2) {
+    lines.push(`${upstreamResponse.rawHeaders[i]}: ${upstreamResponse.rawHeaders[i + 1]}`);
+  }
+  socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+};
+
+// Forward an upgrade request to the upstream and splice the two sockets together once it
+// switches protocols. A refused upgrade is relayed to the client as is.
+const forwardUpgrade = (req, socket, head, baseURL) => {
+  const { host, ...headers } = req.headers;
+  const upstreamRequest = http.request(new URL(req.url, baseURL), {
+    method: 'GET',
+    headers: { ...headers, ...correlation.headers() }
+  });
+
+  upstreamRequest.on('upgrade', (upstreamResponse, upstreamSocket, upstreamHead) => {
+    writeHead(socket, upstreamResponse);
+    if (upstreamHead.length) socket.write(upstreamHead);
+    if (head.length) upstreamSocket.write(head);
+
+    upstreamSocket.on('error', () => socket.destroy());
+    socket.on('error', () => upstreamSocket.destroy());
+    upstreamSocket.pipe(socket).pipe(upstreamSocket);
+  });
+
+  upstreamRequest.on('response', (upstreamResponse) => {
+    writeHead(socket, upstreamResponse);
+    upstreamResponse.pipe(socket);
+  });
+
+  upstreamRequest.on('error', (error) => {
+    console.error('WebSocket upstream error:', error.message);
+    rejectUpgrade(socket, 502, 'Bad Gateway');
+  });
+  upstreamRequest.end();
+};
+
+// `upgrade` listener for the gateway's HTTP server: WebSocket handshakes on `path` must
+// carry a valid access token (see shared/websocket.js) and are proxied to `upstream`.
+// The upstream checks the token again and takes the user from it.
+const createWebSocketProxy = ({ path, upstream, verifyAccessToken }) => (req, socket, head) => {
+  socket.on('error', (error) => console.error('WebSocket client error:', error.message));
+
+  correlation.runWithId(req.headers[correlation.HEADER], async () => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = handshakeToken(req);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    try {
+      await verifyAccessToken(token);
+    } catch (error) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    forwardUpgrade(req, socket, head, upstream.baseURL);
+  });
+};
+
+module.exports = { createWebSocketProxy };
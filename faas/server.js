@@ -1,8 +1,19 @@
 const express = require('express');
+const promClient = require('prom-client');
+const correlation = require('../shared/correlation');
+const { createMetrics } = require('../shared/metrics');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'faas' });
+
 const app = express();
 const PORT = process.env.PORT || 3005;
 
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
 
 // Function registry
 const functions = {};
@@ -28,7 +39,7 @@ app.post('/functions/invoke/:name', async (req, res) => {
   
   try {
     // In a real FaaS, this would execute the function in an isolated environment
-    const result = await eval(`(${functionHandler})(req.body)`);
+    const result = await metrics.timeInvocation(functionName, () => eval(`(${functionHandler})(req.body)`));
     res.json({ result });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -57,10 +68,14 @@ functions['validate-email'] = (data) => {
   return { valid: emailRegex.test(email) };
 };
 
-app.get('/health', (req, res) => {
+// FaaS has no external dependencies, so liveness and readiness are the same check
+app.get(['/health', '/health/live', '/health/ready'], (req, res) => {
   res.json({ status: 'ok', service: 'faas', functions: Object.keys(functions) });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
 app.listen(PORT, () => {
   console.log(`FaaS Server running on port ${PORT}`);
 });
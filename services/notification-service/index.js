@@ -1,14 +1,31 @@
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
 const amqp = require('amqplib');
 const { Kafka } = require('kafkajs');
 const redis = require('redis');
 const { Pool } = require('pg');
+const promClient = require('prom-client');
+const correlation = require('../../shared/correlation');
+const { createMetrics } = require('../../shared/metrics');
+const { readinessHandler } = require('../../shared/health');
+const { handshakeToken, rejectUpgrade } = require('../../shared/websocket');
+const { createJwksVerifier } = require('../../shared/jwks');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'notification-service' });
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Clients authenticate the handshake with an access token, so the server handles upgrades itself
+const wss = metrics.trackWebSocketServer(new WebSocket.Server({
+  noServer: true,
+  // Browsers that send the token as a subprotocol need the 'bearer' protocol echoed back
+  handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false)
+}));
 
 const PORT = process.env.PORT || 3003;
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
@@ -19,8 +36,13 @@ const DB_PORT = process.env.DB_PORT || 5432;
 const DB_USER = process.env.DB_USER || 'soa_user';
 const DB_PASSWORD = process.env.DB_PASSWORD || 'soa_password';
 const DB_NAME = process.env.DB_NAME || 'soa_db';
+// Access tokens are verified with the public keys user-service publishes
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const JWKS_CACHE_SECONDS = parseInt(process.env.JWKS_CACHE_SECONDS) || 300;
 
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
 
 // Database connection
 const pool = new Pool({
@@ -30,6 +52,7 @@ const pool = new Pool({
   password: DB_PASSWORD,
   database: DB_NAME,
 });
+metrics.trackPool(pool);
 
 // Initialize database schema
 (async () => {
@@ -45,6 +68,8 @@ const pool = new Pool({
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await pool.query('ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP');
+    await pool.query('CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL');
     console.log('Database schema initialized');
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -81,11 +106,11 @@ let redisSubscriber = null;
 (async () => {
   try {
     const connection = await amqp.connect(RABBITMQ_URL);
-    rabbitmqChannel = await connection.createChannel();
+    rabbitmqChannel = metrics.instrumentChannel(await connection.createChannel());
     await rabbitmqChannel.assertQueue('notifications', { durable: true });
     
     // Consume notifications from RabbitMQ
-    rabbitmqChannel.consume('notifications', async (msg) => {
+    rabbitmqChannel.consume('notifications', (msg) => correlation.runWithId(correlation.fromRabbitMessage(msg), async () => {
       if (msg) {
         try {
           const notification = JSON.parse(msg.content.toString());
@@ -98,7 +123,7 @@ let redisSubscriber = null;
           rabbitmqChannel.nack(msg, false, true);
         }
       }
-    });
+    }));
     
     console.log('Waiting for notifications on RabbitMQ queue: notifications');
     
@@ -113,7 +138,12 @@ const kafka = new Kafka({
   clientId: 'notification-service',
   brokers: [KAFKA_BROKER]
 });
-kafkaConsumer = kafka.consumer({ groupId: 'notification-group' });
+kafkaConsumer = metrics.instrumentConsumer(kafka.consumer({ groupId: 'notification-group' }));
+let kafkaConsumerConnected = false;
+kafkaConsumer.on(kafkaConsumer.events.GROUP_JOIN, () => { kafkaConsumerConnected = true; });
+kafkaConsumer.on(kafkaConsumer.events.CRASH, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.DISCONNECT, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.STOP, () => { kafkaConsumerConnected = false; });
 (async () => {
   try {
     await kafkaConsumer.connect();
@@ -121,9 +151,9 @@ kafkaConsumer = kafka.consumer({ groupId: 'notification-group' });
     await kafkaConsumer.subscribe({ topic: 'user-events', fromBeginning: false });
     
     await kafkaConsumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
+      eachMessage: ({ topic, partition, message }) => correlation.runWithId(correlation.fromKafkaMessage(message), async () => {
+        const messageKey = message.key ? message.key.toString() : null;
         try {
-          const messageKey = message.key ? message.key.toString() : null;
           const event = JSON.parse(message.value.toString());
           
           // Create notification based on event
@@ -135,11 +165,28 @@ kafkaConsumer = kafka.consumer({ groupId: 'notification-group' });
               message: `Your order #${event.orderId} has been created`,
               data: { orderId: event.orderId }
             });
+          } else if (topic === 'user-events' && messageKey === 'user.verified') {
+            await createNotification({
+              userId: event.userId,
+              type: 'account',
+              title: 'Email Verified',
+              message: `${event.email} is verified. You can now place orders.`,
+              data: {}
+            });
+          } else if (topic === 'user-events' && messageKey === 'user.deleted') {
+            // A deleted account's notifications are erased and its open sockets closed
+            const result = await pool.query('DELETE FROM notifications WHERE user_id = $1', [event.userId]);
+            (connections.get(event.userId) || []).forEach(ws => ws.close(4003, 'Account deleted'));
+            console.log(`Deleted ${result.rowCount} notifications of deleted user ${event.userId}`);
           }
         } catch (error) {
           console.error('Error processing Kafka message:', error);
+          // A deletion is retried rather than skipped, as in the other services, so none is lost
+          if (messageKey === 'user.deleted') {
+            throw error;
+          }
         }
-      }
+      })
     });
     
     console.log('Connected to Kafka');
@@ -149,59 +196,100 @@ kafkaConsumer = kafka.consumer({ groupId: 'notification-group' });
   }
 })();
 
-// WebSocket connection handling
-wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection');
-  
-  ws.on('message', async (message) => {
+const accessTokens = createJwksVerifier({
+  jwt,
+  fetchJwks: async () => {
+    const response = await fetch(`${USER_SERVICE_URL}/.well-known/jwks.json`, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    return response.json();
+  },
+  cacheSeconds: JWKS_CACHE_SECONDS
+});
+
+// Only a valid, unrevoked access token opens a socket; the user is taken from the token
+server.on('upgrade', async (req, socket, head) => {
+  socket.on('error', (error) => console.error('WebSocket client error:', error.message));
+
+  const token = handshakeToken(req);
+  if (!token) {
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+
+  let user;
+  try {
+    user = await accessTokens.verify(token);
+  } catch (error) {
+    if (error.jwksUnavailable) {
+      console.error('Access token verification error:', error.message);
+      return rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+  if (redisClient?.isReady && user.jti) {
     try {
-      const data = JSON.parse(message);
-      
-      if (data.type === 'subscribe' && data.userId) {
-        // Store connection by userId
-        if (!connections.has(data.userId)) {
-          connections.set(data.userId, []);
-        }
-        connections.get(data.userId).push(ws);
-        ws.userId = data.userId;
-        
-        // Send existing notifications from database
-        try {
-          const result = await pool.query(
-            'SELECT id, user_id, type, title, message, data, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
-            [data.userId]
-          );
-          const userNotifications = result.rows.map(row => ({
-            id: row.id,
-            userId: row.user_id,
-            type: row.type,
-            title: row.title,
-            message: row.message,
-            data: row.data,
-            createdAt: row.created_at
-          }));
-          ws.send(JSON.stringify({ type: 'notifications', data: userNotifications }));
-        } catch (error) {
-          console.error('Error fetching notifications:', error);
-        }
+      if (await redisClient.exists(`revoked:jti:${user.jti}`)) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
       }
     } catch (error) {
-      console.error('WebSocket message error:', error);
+      console.error('Revocation check error:', error.message);
     }
-  });
-  
+  }
+  // The client may have gone away while the token was checked
+  if (socket.destroyed) {
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, user));
+});
+
+// WebSocket connection handling
+wss.on('connection', async (ws, req, user) => {
+  const userId = user.userId;
+  console.log(`New WebSocket connection for user ${userId}`);
+
+  if (!connections.has(userId)) {
+    connections.set(userId, []);
+  }
+  connections.get(userId).push(ws);
+
+  // The socket lives no longer than the token that opened it; clients reconnect with a fresh one
+  const expiry = user.exp && setTimeout(() => ws.close(4001, 'Token expired'), user.exp * 1000 - Date.now());
+
   ws.on('close', () => {
-    if (ws.userId && connections.has(ws.userId)) {
-      const userConnections = connections.get(ws.userId);
-      const index = userConnections.indexOf(ws);
-      if (index > -1) {
-        userConnections.splice(index, 1);
-      }
-      if (userConnections.length === 0) {
-        connections.delete(ws.userId);
-      }
+    clearTimeout(expiry);
+    const userConnections = connections.get(userId);
+    const index = userConnections.indexOf(ws);
+    if (index > -1) {
+      userConnections.splice(index, 1);
+    }
+    if (userConnections.length === 0) {
+      connections.delete(userId);
     }
   });
+
+  // Send existing notifications from database
+  try {
+    const result = await pool.query(
+      'SELECT id, user_id, type, title, message, data, created_at, read_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+      [userId]
+    );
+    const userNotifications = result.rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      data: row.data,
+      createdAt: row.created_at,
+      readAt: row.read_at
+    }));
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'notifications', data: userNotifications }));
+    }
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+  }
 });
 
 // Create notification
@@ -220,7 +308,8 @@ async function createNotification(notification) {
       title: result.rows[0].title,
       message: result.rows[0].message,
       data: result.rows[0].data,
-      createdAt: result.rows[0].created_at
+      createdAt: result.rows[0].created_at,
+      readAt: null
     };
     
     console.log('Notification saved to database:', newNotification.id);
@@ -255,22 +344,36 @@ function broadcastNotification(notification) {
   }
 }
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', service: 'notification-service', database: 'connected' });
-  } catch (error) {
-    res.status(500).json({ status: 'error', service: 'notification-service', database: 'disconnected' });
-  }
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', service: 'notification-service' });
 });
 
+// Readiness: every dependency this service talks to is reachable.
+// Non-critical dependencies only degrade the status.
+app.get(['/health', '/health/ready'], readinessHandler({
+  service: 'notification-service',
+  checks: {
+    postgres: () => pool.query('SELECT 1'),
+    rabbitmq: () => (rabbitmqChannel ? rabbitmqChannel.checkQueue('notifications') : Promise.reject(new Error('not connected'))),
+    kafkaConsumer: async () => { if (!kafkaConsumerConnected) throw new Error('not connected'); },
+    redis: () => (redisClient?.isReady ? redisClient.ping() : Promise.reject(new Error('not connected')))
+  },
+  critical: ['postgres', 'rabbitmq', 'redis']
+}));
+
 // Get notifications for a user
 app.get('/notifications', async (req, res) => {
   try {
     const userId = parseInt(req.query.userId);
+
+    // Notifications are only ever listed for a single owner
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
     const result = await pool.query(
-      'SELECT id, user_id, type, title, message, data, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT id, user_id, type, title, message, data, created_at, read_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC',
       [userId]
     );
     const notifications = result.rows.map(row => ({
@@ -280,7 +383,8 @@ app.get('/notifications', async (req, res) => {
       title: row.title,
       message: row.message,
       data: row.data,
-      createdAt: row.created_at
+      createdAt: row.created_at,
+      readAt: row.read_at
     }));
     res.json(notifications);
   } catch (error) {
@@ -289,6 +393,47 @@ app.get('/notifications', async (req, res) => {
   }
 });
 
+// Number of a user's notifications that have not been marked as read
+app.get('/notifications/unread-count', async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    res.json({ userId, count: result.rows[0].count });
+  } catch (error) {
+    console.error('Count unread notifications error:', error);
+    res.status(500).json({ error: 'Failed to count unread notifications' });
+  }
+});
+
+// Mark all of a user's notifications as read
+app.post('/notifications/read', async (req, res) => {
+  try {
+    const userId = parseInt(req.body.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    res.json({ userId, marked: result.rowCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
 server.listen(PORT, () => {
   console.log(`Notification Service running on port ${PORT}`);
 });
@@ -4,6 +4,18 @@ const { Kafka } = require('kafkajs');
 const axios = require('axios');
 const redis = require('redis');
 const { Pool } = require('pg');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const correlation = require('../../shared/correlation');
+const { createMetrics } = require('../../shared/metrics');
+const { readinessHandler } = require('../../shared/health');
+const { createBodyValidator } = require('../../shared/validation');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'order-service' });
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -18,6 +30,11 @@ const DB_PASSWORD = process.env.DB_PASSWORD || 'soa_password';
 const DB_NAME = process.env.DB_NAME || 'soa_db';
 
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
+
+// Request bodies are validated against the schemas shared with the API gateway
+const validateBody = createBodyValidator({ Ajv, addFormats });
 
 // Database connection
 const pool = new Pool({
@@ -27,6 +44,7 @@ const pool = new Pool({
   password: DB_PASSWORD,
   database: DB_NAME,
 });
+metrics.trackPool(pool);
 
 // Initialize database schema
 (async () => {
@@ -39,10 +57,12 @@ const pool = new Pool({
         total_amount DECIMAL(10, 2) NOT NULL,
         status VARCHAR(50) DEFAULT 'pending',
         payment_id INTEGER,
+        anonymized_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await pool.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP');
     console.log('Database schema initialized');
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -68,12 +88,12 @@ let redisClient = null;
 (async () => {
   try {
     const connection = await amqp.connect(RABBITMQ_URL);
-    rabbitmqChannel = await connection.createChannel();
+    rabbitmqChannel = metrics.instrumentChannel(await connection.createChannel());
     await rabbitmqChannel.assertQueue('order.created', { durable: true });
     await rabbitmqChannel.assertQueue('order.payment.processed', { durable: true });
     
     // Consume payment processed messages
-    rabbitmqChannel.consume('order.payment.processed', async (msg) => {
+    rabbitmqChannel.consume('order.payment.processed', (msg) => correlation.runWithId(correlation.fromRabbitMessage(msg), async () => {
       if (msg) {
         try {
           const data = JSON.parse(msg.content.toString());
@@ -87,7 +107,7 @@ let redisClient = null;
           rabbitmqChannel.nack(msg, false, true);
         }
       }
-    });
+    }));
     
     console.log('Connected to RabbitMQ');
   } catch (error) {
@@ -100,7 +120,10 @@ const kafka = new Kafka({
   clientId: 'order-service',
   brokers: [KAFKA_BROKER]
 });
-kafkaProducer = kafka.producer();
+kafkaProducer = metrics.instrumentProducer(kafka.producer());
+let kafkaProducerConnected = false;
+kafkaProducer.on(kafkaProducer.events.CONNECT, () => { kafkaProducerConnected = true; });
+kafkaProducer.on(kafkaProducer.events.DISCONNECT, () => { kafkaProducerConnected = false; });
 (async () => {
   try {
     await kafkaProducer.connect();
@@ -110,23 +133,101 @@ kafkaProducer = kafka.producer();
   }
 })();
 
-// Health check
-app.get('/health', async (req, res) => {
+// Consume user events: a deleted account's pending orders are cancelled, and every order it
+// placed is anonymised. Orders are kept for accounting and only reference the anonymised user id.
+const kafkaConsumer = metrics.instrumentConsumer(kafka.consumer({ groupId: 'order-group' }));
+let kafkaConsumerConnected = false;
+kafkaConsumer.on(kafkaConsumer.events.GROUP_JOIN, () => { kafkaConsumerConnected = true; });
+kafkaConsumer.on(kafkaConsumer.events.CRASH, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.DISCONNECT, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.STOP, () => { kafkaConsumerConnected = false; });
+(async () => {
   try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', service: 'order-service', database: 'connected' });
+    await kafkaConsumer.connect();
+    await kafkaConsumer.subscribe({ topic: 'user-events', fromBeginning: false });
+
+    await kafkaConsumer.run({
+      // A message whose update fails is retried rather than skipped, so no deletion is lost
+      eachMessage: ({ message }) => correlation.runWithId(correlation.fromKafkaMessage(message), async () => {
+        if (message.key?.toString() !== 'user.deleted') {
+          return;
+        }
+        // A malformed message would fail on every retry, so it is logged and skipped
+        let userId;
+        try {
+          ({ userId } = JSON.parse(message.value.toString()));
+        } catch (error) {
+          console.error('Skipping malformed user.deleted message:', error.message);
+          return;
+        }
+        if (!Number.isInteger(userId)) {
+          console.error('Skipping user.deleted message without a userId');
+          return;
+        }
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const cancelled = await client.query(
+            `UPDATE orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND status = 'pending'`,
+            [userId]
+          );
+          // Items keep only what accounting needs; anything else a client stored with them goes
+          const anonymised = await client.query(
+            `UPDATE orders SET
+               items = (
+                 SELECT COALESCE(jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+                   'productId', item->'productId', 'name', item->'name', 'quantity', item->'quantity', 'price', item->'price'
+                 ))), '[]'::jsonb)
+                 FROM jsonb_array_elements(items) AS item
+               ),
+               anonymized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND anonymized_at IS NULL`,
+            [userId]
+          );
+          await client.query('COMMIT');
+          console.log(`Cancelled ${cancelled.rowCount} pending orders and anonymised ${anonymised.rowCount} orders of deleted user ${userId}`);
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          console.error('Error processing user.deleted:', error);
+          throw error;
+        } finally {
+          client.release();
+        }
+      })
+    });
   } catch (error) {
-    res.status(500).json({ status: 'error', service: 'order-service', database: 'disconnected' });
+    console.error('Kafka consumer connection error:', error);
   }
+})();
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', service: 'order-service' });
 });
 
-// Get all orders for a user
+// Readiness: every dependency this service talks to is reachable.
+// Non-critical dependencies only degrade the status.
+app.get(['/health', '/health/ready'], readinessHandler({
+  service: 'order-service',
+  checks: {
+    postgres: () => pool.query('SELECT 1'),
+    rabbitmq: () => (rabbitmqChannel ? rabbitmqChannel.checkQueue('order.created') : Promise.reject(new Error('not connected'))),
+    kafkaProducer: async () => { if (!kafkaProducerConnected) throw new Error('not connected'); },
+    kafkaConsumer: async () => { if (!kafkaConsumerConnected) throw new Error('not connected'); },
+    redis: () => (redisClient?.isReady ? redisClient.ping() : Promise.reject(new Error('not connected')))
+  },
+  critical: ['postgres', 'rabbitmq']
+}));
+
+// Get all orders for a user, newest first (?limit=N for the N most recent)
 app.get('/orders', async (req, res) => {
   try {
     const userId = parseInt(req.query.userId);
+    const limit = parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : null;
     const result = await pool.query(
-      'SELECT id, user_id, items, total_amount, status, payment_id, created_at, updated_at FROM orders WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+      'SELECT id, user_id, items, total_amount, status, payment_id, created_at, updated_at FROM orders WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
     );
     res.json(result.rows.map(row => ({
       id: row.id,
@@ -144,13 +245,30 @@ app.get('/orders', async (req, res) => {
   }
 });
 
-// Get order by ID
+// Number of a user's orders
+app.get('/orders/count', async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM orders WHERE user_id = $1', [userId]);
+    res.json({ userId, count: result.rows[0].count });
+  } catch (error) {
+    console.error('Count orders error:', error);
+    res.status(500).json({ error: 'Failed to count orders' });
+  }
+});
+
+// Get order by ID (optionally scoped to its owner via ?userId=)
 app.get('/orders/:id', async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId) : null;
     const result = await pool.query(
-      'SELECT id, user_id, items, total_amount, status, payment_id, created_at, updated_at FROM orders WHERE id = $1',
-      [orderId]
+      'SELECT id, user_id, items, total_amount, status, payment_id, created_at, updated_at FROM orders WHERE id = $1 AND ($2::int IS NULL OR user_id = $2)',
+      [orderId, userId]
     );
     
     if (result.rows.length === 0) {
@@ -175,12 +293,13 @@ app.get('/orders/:id', async (req, res) => {
 });
 
 // Create order
-app.post('/orders', async (req, res) => {
+app.post('/orders', validateBody('order.create'), async (req, res) => {
   try {
     const { userId, items, totalAmount } = req.body;
 
-    if (!userId || !items || !totalAmount) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // userId is not part of the client body; the API gateway adds it from the token
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
     }
 
     // Insert order into database
@@ -205,7 +324,7 @@ app.post('/orders', async (req, res) => {
         orderId: order.id,
         userId: order.user_id,
         totalAmount: order.total_amount
-      })));
+      })), { headers: correlation.headers() });
       
       // Also send notification request directly via RabbitMQ
       const notificationMessage = {
@@ -216,7 +335,7 @@ app.post('/orders', async (req, res) => {
         data: { orderId: order.id }
       };
       console.log('Sending notification to RabbitMQ:', notificationMessage);
-      rabbitmqChannel.sendToQueue('notifications', Buffer.from(JSON.stringify(notificationMessage)));
+      rabbitmqChannel.sendToQueue('notifications', Buffer.from(JSON.stringify(notificationMessage)), { headers: correlation.headers() });
       console.log('Notification message sent to RabbitMQ queue: notifications');
     } else {
       console.error('RabbitMQ channel not available - cannot send notification');
@@ -229,6 +348,7 @@ app.post('/orders', async (req, res) => {
           topic: 'order-events',
           messages: [{
             key: 'order.created',
+            headers: correlation.headers(),
             value: JSON.stringify({
               orderId: order.id,
               userId: order.user_id,
@@ -249,7 +369,7 @@ app.post('/orders', async (req, res) => {
         orderId: order.id,
         userId: order.user_id,
         amount: order.total_amount
-      })));
+      })), { headers: correlation.headers() });
     }
 
     res.status(201).json(orderData);
@@ -259,6 +379,9 @@ app.post('/orders', async (req, res) => {
   }
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
 app.listen(PORT, () => {
   console.log(`Order Service running on port ${PORT}`);
 });
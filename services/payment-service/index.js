@@ -2,6 +2,18 @@ const express = require('express');
 const amqp = require('amqplib');
 const { Kafka } = require('kafkajs');
 const { Pool } = require('pg');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const correlation = require('../../shared/correlation');
+const { createMetrics } = require('../../shared/metrics');
+const { readinessHandler } = require('../../shared/health');
+const { createBodyValidator } = require('../../shared/validation');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'payment-service' });
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -14,6 +26,11 @@ const DB_PASSWORD = process.env.DB_PASSWORD || 'soa_password';
 const DB_NAME = process.env.DB_NAME || 'soa_db';
 
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
+
+// Request bodies are validated against the schemas shared with the API gateway
+const validateBody = createBodyValidator({ Ajv, addFormats });
 
 // Database connection
 const pool = new Pool({
@@ -23,6 +40,7 @@ const pool = new Pool({
   password: DB_PASSWORD,
   database: DB_NAME,
 });
+metrics.trackPool(pool);
 
 // Initialize database schema
 (async () => {
@@ -51,11 +69,11 @@ let kafkaProducer = null;
 (async () => {
   try {
     const connection = await amqp.connect(RABBITMQ_URL);
-    rabbitmqChannel = await connection.createChannel();
+    rabbitmqChannel = metrics.instrumentChannel(await connection.createChannel());
     await rabbitmqChannel.assertQueue('payment.request', { durable: true });
     
     // Consume payment requests
-    rabbitmqChannel.consume('payment.request', async (msg) => {
+    rabbitmqChannel.consume('payment.request', (msg) => correlation.runWithId(correlation.fromRabbitMessage(msg), async () => {
       if (msg) {
         try {
           const paymentRequest = JSON.parse(msg.content.toString());
@@ -71,7 +89,7 @@ let kafkaProducer = null;
           rabbitmqChannel.sendToQueue('order.payment.processed', Buffer.from(JSON.stringify({
             orderId: payment.order_id,
             paymentId: payment.id
-          })));
+          })), { headers: correlation.headers() });
           
           // Publish to Kafka
           if (kafkaProducer) {
@@ -79,6 +97,7 @@ let kafkaProducer = null;
               topic: 'payment-events',
               messages: [{
                 key: 'payment.completed',
+                headers: correlation.headers(),
                 value: JSON.stringify({
                   paymentId: payment.id,
                   orderId: payment.order_id,
@@ -96,7 +115,7 @@ let kafkaProducer = null;
           rabbitmqChannel.nack(msg, false, true);
         }
       }
-    });
+    }));
     
     console.log('Connected to RabbitMQ');
   } catch (error) {
@@ -109,7 +128,10 @@ const kafka = new Kafka({
   clientId: 'payment-service',
   brokers: [KAFKA_BROKER]
 });
-kafkaProducer = kafka.producer();
+kafkaProducer = metrics.instrumentProducer(kafka.producer());
+let kafkaProducerConnected = false;
+kafkaProducer.on(kafkaProducer.events.CONNECT, () => { kafkaProducerConnected = true; });
+kafkaProducer.on(kafkaProducer.events.DISCONNECT, () => { kafkaProducerConnected = false; });
 (async () => {
   try {
     await kafkaProducer.connect();
@@ -119,23 +141,80 @@ kafkaProducer = kafka.producer();
   }
 })();
 
-// Health check
-app.get('/health', async (req, res) => {
+// Consume user events: payments of a deleted account are kept for accounting, but the
+// client-supplied payment method description is redacted.
+const kafkaConsumer = metrics.instrumentConsumer(kafka.consumer({ groupId: 'payment-group' }));
+let kafkaConsumerConnected = false;
+kafkaConsumer.on(kafkaConsumer.events.GROUP_JOIN, () => { kafkaConsumerConnected = true; });
+kafkaConsumer.on(kafkaConsumer.events.CRASH, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.DISCONNECT, () => { kafkaConsumerConnected = false; });
+kafkaConsumer.on(kafkaConsumer.events.STOP, () => { kafkaConsumerConnected = false; });
+(async () => {
   try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', service: 'payment-service', database: 'connected' });
+    await kafkaConsumer.connect();
+    await kafkaConsumer.subscribe({ topic: 'user-events', fromBeginning: false });
+
+    await kafkaConsumer.run({
+      // A message whose update fails is retried rather than skipped, so no deletion is lost
+      eachMessage: ({ message }) => correlation.runWithId(correlation.fromKafkaMessage(message), async () => {
+        if (message.key?.toString() !== 'user.deleted') {
+          return;
+        }
+        // A malformed message would fail on every retry, so it is logged and skipped
+        let userId;
+        try {
+          ({ userId } = JSON.parse(message.value.toString()));
+        } catch (error) {
+          console.error('Skipping malformed user.deleted message:', error.message);
+          return;
+        }
+        if (!Number.isInteger(userId)) {
+          console.error('Skipping user.deleted message without a userId');
+          return;
+        }
+        try {
+          const result = await pool.query(
+            `UPDATE payments SET payment_method = 'redacted' WHERE user_id = $1 AND payment_method <> 'redacted'`,
+            [userId]
+          );
+          console.log(`Redacted the payment method of ${result.rowCount} payments of deleted user ${userId}`);
+        } catch (error) {
+          console.error('Error processing user.deleted:', error);
+          throw error;
+        }
+      })
+    });
   } catch (error) {
-    res.status(500).json({ status: 'error', service: 'payment-service', database: 'disconnected' });
+    console.error('Kafka consumer connection error:', error);
   }
+})();
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', service: 'payment-service' });
 });
 
+// Readiness: every dependency this service talks to is reachable.
+// Non-critical dependencies only degrade the status.
+app.get(['/health', '/health/ready'], readinessHandler({
+  service: 'payment-service',
+  checks: {
+    postgres: () => pool.query('SELECT 1'),
+    rabbitmq: () => (rabbitmqChannel ? rabbitmqChannel.checkQueue('payment.request') : Promise.reject(new Error('not connected'))),
+    kafkaProducer: async () => { if (!kafkaProducerConnected) throw new Error('not connected'); },
+    kafkaConsumer: async () => { if (!kafkaConsumerConnected) throw new Error('not connected'); }
+  },
+  critical: ['postgres', 'rabbitmq', 'kafkaProducer']
+}));
+
 // Process payment (direct API call)
-app.post('/payments', async (req, res) => {
+app.post('/payments', validateBody('payment.create'), async (req, res) => {
   try {
     const { orderId, userId, amount, paymentMethod } = req.body;
 
-    if (!orderId || !userId || !amount) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // userId is not part of the client body; the API gateway adds the order owner's id
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
     }
 
     // Insert payment into database
@@ -160,7 +239,7 @@ app.post('/payments', async (req, res) => {
       rabbitmqChannel.sendToQueue('order.payment.processed', Buffer.from(JSON.stringify({
         orderId: payment.order_id,
         paymentId: payment.id
-      })));
+      })), { headers: correlation.headers() });
     }
 
     // Publish to Kafka
@@ -169,6 +248,7 @@ app.post('/payments', async (req, res) => {
         topic: 'payment-events',
         messages: [{
           key: 'payment.completed',
+          headers: correlation.headers(),
           value: JSON.stringify({
             paymentId: payment.id,
             orderId: payment.order_id,
@@ -187,13 +267,62 @@ app.post('/payments', async (req, res) => {
   }
 });
 
-// Get payment by ID
+// Batch lookup of payments by ?ids=1,2,3 (optionally scoped to their owner via ?userId=)
+app.get('/payments', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => parseInt(id)).filter(Number.isInteger);
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId) : null;
+
+    // Payments are never listed unbounded: by ids, or every payment of one user
+    if (ids.length === 0 && !userId) {
+      return res.status(400).json({ error: 'ids or userId is required' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, order_id, user_id, amount, payment_method, status, created_at FROM payments
+       WHERE ($1::int[] IS NULL OR id = ANY($1)) AND ($2::int IS NULL OR user_id = $2)
+       ORDER BY created_at DESC`,
+      [ids.length ? ids : null, userId]
+    );
+    res.json(result.rows.map(payment => ({
+      id: payment.id,
+      orderId: payment.order_id,
+      userId: payment.user_id,
+      amount: parseFloat(payment.amount),
+      paymentMethod: payment.payment_method,
+      status: payment.status,
+      createdAt: payment.created_at
+    })));
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Number of a user's payments
+app.get('/payments/count', async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM payments WHERE user_id = $1', [userId]);
+    res.json({ userId, count: result.rows[0].count });
+  } catch (error) {
+    console.error('Count payments error:', error);
+    res.status(500).json({ error: 'Failed to count payments' });
+  }
+});
+
+// Get payment by ID (optionally scoped to its owner via ?userId=)
 app.get('/payments/:id', async (req, res) => {
   try {
     const paymentId = parseInt(req.params.id);
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId) : null;
     const result = await pool.query(
-      'SELECT id, order_id, user_id, amount, payment_method, status, created_at FROM payments WHERE id = $1',
-      [paymentId]
+      'SELECT id, order_id, user_id, amount, payment_method, status, created_at FROM payments WHERE id = $1 AND ($2::int IS NULL OR user_id = $2)',
+      [paymentId, userId]
     );
     
     if (result.rows.length === 0) {
@@ -216,6 +345,9 @@ app.get('/payments/:id', async (req, res) => {
   }
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
 app.listen(PORT, () => {
   console.log(`Payment Service running on port ${PORT}`);
 });
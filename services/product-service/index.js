@@ -1,5 +1,18 @@
 const express = require('express');
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const correlation = require('../../shared/correlation');
+const { createMetrics } = require('../../shared/metrics');
+const { readinessHandler } = require('../../shared/health');
+const { createBodyValidator } = require('../../shared/validation');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'product-service' });
 
 const app = express();
 const PORT = process.env.PORT || 3006;
@@ -10,6 +23,11 @@ const DB_PASSWORD = process.env.DB_PASSWORD || 'soa_password';
 const DB_NAME = process.env.DB_NAME || 'soa_db';
 
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
+
+// Request bodies are validated against the schemas shared with the API gateway
+const validateBody = createBodyValidator({ Ajv, addFormats });
 
 // Database connection
 const pool = new Pool({
@@ -19,6 +37,7 @@ const pool = new Pool({
   password: DB_PASSWORD,
   database: DB_NAME,
 });
+metrics.trackPool(pool);
 
 // Initialize database schema
 (async () => {
@@ -40,22 +59,56 @@ const pool = new Pool({
   }
 })();
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', service: 'product-service', database: 'connected' });
-  } catch (error) {
-    res.status(500).json({ status: 'error', service: 'product-service', database: 'disconnected' });
-  }
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', service: 'product-service' });
 });
 
-// Get all products
+// Readiness: every dependency this service talks to is reachable.
+// Non-critical dependencies only degrade the status.
+app.get(['/health', '/health/ready'], readinessHandler({
+  service: 'product-service',
+  checks: {
+    postgres: () => pool.query('SELECT 1')
+  },
+  critical: ['postgres']
+}));
+
+// Conditional GETs: validators come from id and updated_at, so every write changes them and an
+// unchanged resource can be answered with 304 without serializing it. Last-Modified is only set
+// for single products; a list's newest updated_at does not change when a product is deleted.
+const setValidators = (res, rows, { lastModified = false } = {}) => {
+  const hash = crypto.createHash('sha1');
+  for (const row of rows) {
+    hash.update(`${row.id}:${new Date(row.updated_at).getTime()};`);
+  }
+  res.set('ETag', `W/"${hash.digest('base64url')}"`);
+  if (lastModified && rows.length > 0) {
+    res.set('Last-Modified', new Date(rows[0].updated_at).toUTCString());
+  }
+  // Clients may store the response but must revalidate it
+  res.set('Cache-Control', 'no-cache');
+};
+
+// Get all products, or only those listed in ?ids=1,2,3 (batch lookup).
+// ?inStock=true skips sold-out products and ?limit=N returns the N newest.
 app.get('/products', async (req, res) => {
   try {
+    const ids = req.query.ids !== undefined
+      ? String(req.query.ids).split(',').map(id => parseInt(id)).filter(Number.isInteger)
+      : null;
+    const inStock = req.query.inStock === 'true';
+    const limit = parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : null;
     const result = await pool.query(
-      'SELECT id, name, description, price, stock, created_at, updated_at FROM products ORDER BY created_at DESC'
+      'SELECT id, name, description, price, stock, created_at, updated_at FROM products WHERE ($1::int[] IS NULL OR id = ANY($1)) AND (NOT $2 OR stock > 0) ORDER BY created_at DESC LIMIT $3',
+      [ids, inStock, limit]
     );
+
+    setValidators(res, result.rows);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
     const products = result.rows.map(row => ({
       id: row.id,
       name: row.name,
@@ -84,7 +137,12 @@ app.get('/products/:id', async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    
+
+    setValidators(res, result.rows, { lastModified: true });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
     const row = result.rows[0];
     res.json({
       id: row.id,
@@ -102,14 +160,10 @@ app.get('/products/:id', async (req, res) => {
 });
 
 // Create product
-app.post('/products', async (req, res) => {
+app.post('/products', validateBody('product'), async (req, res) => {
   try {
     const { name, description, price, stock } = req.body;
 
-    if (!name || !price) {
-      return res.status(400).json({ error: 'Name and price are required' });
-    }
-
     const result = await pool.query(
       'INSERT INTO products (name, description, price, stock) VALUES ($1, $2, $3, $4) RETURNING id, name, description, price, stock, created_at, updated_at',
       [name, description || null, price, stock || 0]
@@ -132,7 +186,7 @@ app.post('/products', async (req, res) => {
 });
 
 // Update product
-app.put('/products/:id', async (req, res) => {
+app.put('/products/:id', validateBody('product'), async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     const { name, description, price, stock } = req.body;
@@ -179,6 +233,9 @@ app.delete('/products/:id', async (req, res) => {
   }
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
 app.listen(PORT, () => {
   console.log(`Product Service running on port ${PORT}`);
 });
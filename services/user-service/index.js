@@ -1,14 +1,34 @@
 const express = require('express');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
 const bcrypt = require('bcryptjs');
+const nodemailer = require('nodemailer');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
 const amqp = require('amqplib');
 const { Kafka } = require('kafkajs');
 const redis = require('redis');
 const { Pool } = require('pg');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const correlation = require('../../shared/correlation');
+const { createMetrics } = require('../../shared/metrics');
+const { readinessHandler } = require('../../shared/health');
+const { createBodyValidator } = require('../../shared/validation');
+const { ALGORITHMS } = require('../../shared/jwks');
+const { DEFAULT_INTERNAL_SERVICE_TOKEN, requireInternalCaller, callerUserId, requireSelf } = require('../../shared/internal-auth');
+
+correlation.patchConsole();
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics(promClient, { service: 'user-service' });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const IS_DEVELOPMENT = (process.env.NODE_ENV || 'development') === 'development';
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
 const KAFKA_BROKER = process.env.KAFKA_BROKER || 'localhost:9092';
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
@@ -17,8 +37,95 @@ const DB_PORT = process.env.DB_PORT || 5432;
 const DB_USER = process.env.DB_USER || 'soa_user';
 const DB_PASSWORD = process.env.DB_PASSWORD || 'soa_password';
 const DB_NAME = process.env.DB_NAME || 'soa_db';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || null;
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+// Access tokens are signed with an asymmetric key from the signing_keys table, published
+// at /.well-known/jwks.json. A new key is generated every JWT_KEY_ROTATION_DAYS and published
+// JWT_KEY_ACTIVATION_DELAY_SECONDS before it signs anything, so verifiers caching the key set
+// know it in time; keep the delay above their JWKS_CACHE_SECONDS.
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+const JWT_KEY_ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+const JWT_KEY_ACTIVATION_DELAY_SECONDS = parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS) || 60 * 60;
+// A replaced key stays published until the tokens it signed have expired, with margin for
+// instances still caching it and for clock skew
+const RETIRED_KEY_GRACE_SECONDS = ACCESS_TOKEN_TTL_SECONDS + 5 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Minimum wait between two verification emails for the same account
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 1025;
+const SMTP_USER = process.env.SMTP_USER || null;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || null;
+const MAIL_FROM = process.env.MAIL_FROM || 'ShopHub <no-reply@shophub.local>';
+// Public URL of the web app, used in links sent by email
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+// Services holding the rest of a user's personal data, read for data exports
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3002';
+const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3003';
+const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004';
+// Days a finished data export stays downloadable
+const DATA_EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+// Login brute-force protection: failed attempts are counted per email and per client IP
+// within a sliding window; too many lock the account (423) or block the IP (429)
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS) || 5000;
+// Two-factor authentication (TOTP). A login of an enrolled user returns a challenge token
+// that is exchanged for the session tokens with a code within TWO_FACTOR_CHALLENGE_TTL_SECONDS.
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+// Wrong codes accepted for one challenge before it is void and the password has to be entered again
+const TWO_FACTOR_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+// Users holding any of these roles must use 2FA before the gateway grants them their role's policies
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+// Name shown for accounts in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'ShopHub';
+const RECOVERY_CODE_COUNT = 10;
+// Client IPs come from X-Forwarded-For when the request passed through a trusted proxy (the API gateway)
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, uniquelocal';
+
+// Secrets stored in the database (TOTP secrets, JWT signing keys) are encrypted with a key
+// derived from DATA_ENCRYPTION_KEY. The development default is refused anywhere else.
+const DEFAULT_DATA_ENCRYPTION_KEY = 'dev-data-encryption-key-change-in-production';
+const DATA_ENCRYPTION_KEY = process.env.DATA_ENCRYPTION_KEY || DEFAULT_DATA_ENCRYPTION_KEY;
+if (DATA_ENCRYPTION_KEY === DEFAULT_DATA_ENCRYPTION_KEY && !IS_DEVELOPMENT) {
+  console.error('DATA_ENCRYPTION_KEY must be set when NODE_ENV is not development');
+  process.exit(1);
+}
+// Admin routes only answer the API gateway, which authorizes the caller and sends this secret
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN || DEFAULT_INTERNAL_SERVICE_TOKEN;
+if (INTERNAL_SERVICE_TOKEN === DEFAULT_INTERNAL_SERVICE_TOKEN && !IS_DEVELOPMENT) {
+  console.error('INTERNAL_SERVICE_TOKEN must be set when NODE_ENV is not development');
+  process.exit(1);
+}
+if (!ALGORITHMS.includes(JWT_ALGORITHM)) {
+  console.error(`JWT_ALGORITHM must be one of: ${ALGORITHMS.join(', ')}`);
+  process.exit(1);
+}
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(DATA_ENCRYPTION_KEY).digest();
+
+// Roles that can be granted to a user. Every user has 'customer'.
+const ROLES = ['customer', 'staff', 'admin'];
 
+// Accept the previous and next 30-second code as well, for clock drift
+authenticator.options = { window: 1 };
+
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
 app.use(express.json());
+app.use(correlation.middleware());
+app.use(metrics.httpMiddleware());
+
+// Request bodies are validated against the schemas shared with the API gateway
+const validateBody = createBodyValidator({ Ajv, addFormats });
+
+// Admin routes: the gateway checks the caller's policy, this checks the call came from the gateway
+const internalOnly = requireInternalCaller(INTERNAL_SERVICE_TOKEN);
+
+// Self-service routes: the gateway passes the signed-in user as :id, this checks it is the user the call was made for
+const selfOnly = [internalOnly, requireSelf];
 
 // Database connection
 const pool = new Pool({
@@ -28,6 +135,7 @@ const pool = new Pool({
   password: DB_PASSWORD,
   database: DB_NAME,
 });
+metrics.trackPool(pool);
 
 // Initialize database schema
 (async () => {
@@ -38,15 +146,174 @@ const pool = new Pool({
         email VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
         name VARCHAR(255),
+        roles TEXT[] NOT NULL DEFAULT ARRAY['customer'],
+        email_verified_at TIMESTAMP,
+        deleted_at TIMESTAMP,
+        last_login_at TIMESTAMP,
+        last_login_ip VARCHAR(45),
+        totp_secret TEXT,
+        totp_enabled_at TIMESTAMP,
+        totp_last_step BIGINT,
+        two_factor_required BOOLEAN NOT NULL DEFAULT false,
+        suspended_at TIMESTAMP,
+        suspension_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT ARRAY['customer']`);
+    // Accounts created before email verification existed are treated as verified
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    await pool.query('ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_ip VARCHAR(45)');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN NOT NULL DEFAULT false');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id UUID NOT NULL,
+        access_jti UUID NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        two_factor BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS two_factor BOOLEAN NOT NULL DEFAULT false');
+    await pool.query('CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens (family_id)');
+    // One session per login; its id is the family id of the refresh tokens issued for it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions (user_id)');
+    // Sessions started before they were recorded, without device details
+    await pool.query(`
+      INSERT INTO sessions (id, user_id, created_at, last_seen_at)
+      SELECT family_id, user_id, MIN(created_at), MAX(created_at) FROM refresh_tokens GROUP BY family_id, user_id
+      ON CONFLICT (id) DO NOTHING
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_prefix CHAR(8) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        rotated_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_challenges (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        archive TEXT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP
+      )
+    `);
+    // At most one export per user is being built at any time
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS data_exports_pending_idx ON data_exports (user_id) WHERE status = 'pending'`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        kid UUID PRIMARY KEY,
+        algorithm VARCHAR(10) NOT NULL,
+        private_key TEXT NOT NULL,
+        public_jwk JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        activates_at TIMESTAMP NOT NULL
+      )
+    `);
+    // Actions taken by admins through the gateway's /api/admin routes
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(50) NOT NULL,
+        target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        ip VARCHAR(45),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await pool.query('CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log (created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx ON admin_audit_log (target_user_id)');
     console.log('Database schema initialized');
+    await rotateSigningKeyIfDue();
   } catch (error) {
     console.error('Database initialization error:', error);
   }
 })();
 
+// Outgoing email over SMTP (a local mail sink such as Mailpit in development)
+const mailer = nodemailer.createTransport({
+  host: SMTP_HOST,
+  port: SMTP_PORT,
+  secure: SMTP_PORT === 465,
+  auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+});
+
 let rabbitmqChannel = null;
 let kafkaProducer = null;
 let redisClient = null;
@@ -66,8 +333,35 @@ let redisClient = null;
 (async () => {
   try {
     const connection = await amqp.connect(RABBITMQ_URL);
-    rabbitmqChannel = await connection.createChannel();
+    rabbitmqChannel = metrics.instrumentChannel(await connection.createChannel());
     await rabbitmqChannel.assertQueue('user.created', { durable: true });
+    await rabbitmqChannel.assertQueue('user.export', { durable: true });
+    await rabbitmqChannel.assertQueue('notifications', { durable: true });
+
+    // Build requested data exports one at a time. A message that fails is dropped rather
+    // than redelivered forever, and its export is marked failed so it can be requested again.
+    await rabbitmqChannel.prefetch(1);
+    rabbitmqChannel.consume('user.export', (msg) => correlation.runWithId(correlation.fromRabbitMessage(msg), async () => {
+      if (msg) {
+        let exportId;
+        try {
+          ({ exportId } = JSON.parse(msg.content.toString()));
+          await buildDataExport(exportId);
+          rabbitmqChannel.ack(msg);
+        } catch (error) {
+          console.error('Data export error:', error);
+          if (exportId) {
+            await pool.query(
+              `UPDATE data_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+               WHERE id = $1 AND status = 'pending'`,
+              [exportId, 'The export could not be built']
+            ).catch(updateError => console.error(`Could not mark data export ${exportId} failed:`, updateError.message));
+          }
+          rabbitmqChannel.nack(msg, false, false);
+        }
+      }
+    }));
+
     console.log('Connected to RabbitMQ');
   } catch (error) {
     console.error('RabbitMQ connection error:', error);
@@ -79,7 +373,10 @@ const kafka = new Kafka({
   clientId: 'user-service',
   brokers: [KAFKA_BROKER]
 });
-kafkaProducer = kafka.producer();
+kafkaProducer = metrics.instrumentProducer(kafka.producer());
+let kafkaProducerConnected = false;
+kafkaProducer.on(kafkaProducer.events.CONNECT, () => { kafkaProducerConnected = true; });
+kafkaProducer.on(kafkaProducer.events.DISCONNECT, () => { kafkaProducerConnected = false; });
 (async () => {
   try {
     await kafkaProducer.connect();
@@ -89,25 +386,685 @@ kafkaProducer = kafka.producer();
   }
 })();
 
-// Health check
-app.get('/health', async (req, res) => {
+// Hash a refresh token for storage; only the hash is ever persisted
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// A new key pair for `algorithm`, with the private key as PEM and the public key as a JWK
+async function generateSigningKey(algorithm) {
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+    : await generateKeyPair('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  return {
+    kid,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' }
+  };
+}
+
+// Keys that may still verify a token: pending and active keys, and keys replaced less than
+// RETIRED_KEY_GRACE_SECONDS ago. $1 is the grace period.
+const PUBLISHED_KEYS_CONDITION = `NOT EXISTS (
+  SELECT 1 FROM signing_keys newer
+  WHERE newer.activates_at > k.activates_at AND newer.activates_at <= CURRENT_TIMESTAMP - make_interval(secs => $1)
+)`;
+
+// Add a signing key that takes over after JWT_KEY_ACTIVATION_DELAY_SECONDS, or at once when
+// there is no active key. Unless `force` is set, this only happens when there is no active
+// key or the newest key is older than JWT_KEY_ROTATION_DAYS or uses another algorithm. An
+// advisory lock makes concurrent instances rotate once. Returns the new key's kid, or null.
+async function rotateSigningKeyIfDue({ force = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('signing_keys'))`);
+
+    const newest = await client.query(
+      `SELECT algorithm, created_at < CURRENT_TIMESTAMP - make_interval(days => $1) AS due,
+              EXISTS (SELECT 1 FROM signing_keys WHERE activates_at <= CURRENT_TIMESTAMP) AS has_active
+       FROM signing_keys ORDER BY activates_at DESC LIMIT 1`,
+      [JWT_KEY_ROTATION_DAYS]
+    );
+    const current = newest.rows[0];
+    if (!force && current?.has_active && !current.due && current.algorithm === JWT_ALGORITHM) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const key = await generateSigningKey(JWT_ALGORITHM);
+    const delay = current?.has_active ? JWT_KEY_ACTIVATION_DELAY_SECONDS : 0;
+    await client.query(
+      `INSERT INTO signing_keys (kid, algorithm, private_key, public_jwk, activates_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(secs => $5))`,
+      [key.kid, JWT_ALGORITHM, encryptSecret(key.privateKey), key.publicJwk, delay]
+    );
+    await client.query('COMMIT');
+
+    console.log(`Signing key ${key.kid} (${JWT_ALGORITHM}) created, active in ${delay} seconds`);
+    return key.kid;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// The key signing new access tokens, cached for a minute so a key that became active (here
+// or on another instance) is picked up soon after
+let signingKey = null;
+
+async function getSigningKey() {
+  if (signingKey && Date.now() - signingKey.loadedAt < 60 * 1000) {
+    return signingKey;
+  }
+
+  let result = await pool.query(
+    `SELECT kid, algorithm, private_key FROM signing_keys
+     WHERE activates_at <= CURRENT_TIMESTAMP ORDER BY activates_at DESC LIMIT 1`
+  );
+  if (result.rows.length === 0) {
+    // First start, or the database was not reachable when the service started
+    await rotateSigningKeyIfDue();
+    return getSigningKey();
+  }
+  const row = result.rows[0];
+
+  signingKey = {
+    kid: row.kid,
+    algorithm: row.algorithm,
+    key: signingKey?.kid === row.kid ? signingKey.key : crypto.createPrivateKey(decryptSecret(row.private_key)),
+    loadedAt: Date.now()
+  };
+  return signingKey;
+}
+
+// Whether a user must sign in with a second factor before using their role's policies
+const isTwoFactorRequired = (user) =>
+  Boolean(user.two_factor_required) || user.roles.some(role => TWO_FACTOR_REQUIRED_ROLES.includes(role));
+
+// Record a new session for a login from `client` ({ ip, userAgent }) and return its id
+async function createSession(db, userId, client) {
+  const sessionId = crypto.randomUUID();
+  await db.query(
+    'INSERT INTO sessions (id, user_id, user_agent, ip) VALUES ($1, $2, $3, $4)',
+    [sessionId, userId, client.userAgent?.slice(0, 512) || null, client.ip || null]
+  );
+  return sessionId;
+}
+
+// The device a request comes from, as recorded on its session
+const requestClient = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// Issue a short-lived access token and a refresh token in the given family (the session id).
+// `db` is the pool or a client holding an open transaction. `twoFactor` records that the
+// session was signed in with a second factor; refreshed tokens of the family keep it.
+async function issueTokens(db, user, familyId, { twoFactor = false } = {}) {
+  const jti = crypto.randomUUID();
+  const { kid, algorithm, key } = await getSigningKey();
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      roles: user.roles,
+      emailVerified: user.email_verified,
+      twoFactor,
+      twoFactorRequired: isTwoFactorRequired(user)
+    },
+    key,
+    { algorithm, keyid: kid, expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, access_jti, expires_at, two_factor)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5), $6)`,
+    [user.id, hashToken(refreshToken), familyId, jti, REFRESH_TOKEN_TTL_DAYS, twoFactor]
+  );
+
+  return { token, refreshToken };
+}
+
+// Put an access token id on the Redis revocation list the API gateway consults.
+// The entry only needs to live as long as the token itself.
+async function revokeAccessToken(jti, ttlSeconds) {
+  if (redisClient && jti && ttlSeconds > 0) {
+    await redisClient.setEx(`revoked:jti:${jti}`, ttlSeconds, '1');
+  }
+}
+
+// Revoke the refresh tokens matching `condition`, along with the access tokens issued with them.
+// The condition's parameters start at $2.
+async function revokeRefreshTokens(db, condition, params) {
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE ${condition}
+     RETURNING access_jti, GREATEST(0, EXTRACT(EPOCH FROM (created_at + make_interval(secs => $1) - CURRENT_TIMESTAMP)))::int AS ttl`,
+    [ACCESS_TOKEN_TTL_SECONDS, ...params]
+  );
+  for (const row of result.rows) {
+    await revokeAccessToken(row.access_jti, row.ttl);
+  }
+}
+
+// Revoke every refresh token in a family, along with the access tokens issued with them
+const revokeTokenFamily = (db, familyId) => revokeRefreshTokens(db, 'family_id = $2', [familyId]);
+
+// Sign a user out everywhere: every session they hold is revoked
+const revokeUserSessions = (db, userId) => revokeRefreshTokens(db, 'user_id = $2', [userId]);
+
+// Sign a user out everywhere except the session the access token `jti` belongs to
+const revokeOtherSessions = (db, userId, jti) => revokeRefreshTokens(
+  db,
+  'user_id = $2 AND family_id NOT IN (SELECT family_id FROM refresh_tokens WHERE access_jti = $3)',
+  [userId, jti]
+);
+
+// Tell the API gateway to reject a suspended user's access tokens. Their sessions are revoked
+// and cannot be refreshed, so the entry only has to outlive the access tokens already issued.
+// Callers check that Redis is available first: without the entry a suspension is not enforced.
+async function markSuspended(userId, suspended) {
+  if (suspended) {
+    await redisClient.setEx(`suspended:user:${userId}`, ACCESS_TOKEN_TTL_SECONDS, '1');
+  } else {
+    await redisClient.del(`suspended:user:${userId}`);
+  }
+}
+
+// Record an admin action in the audit log. The acting admin is the user the API gateway made
+// the request for (X-User-Id, trusted on internalOnly routes); `targetUserId` is the user acted
+// on, or null for actions on other resources.
+async function recordAdminAction(db, req, action, targetUserId, details = {}) {
+  await db.query(
+    'INSERT INTO admin_audit_log (actor_id, action, target_user_id, details, ip) VALUES ($1, $2, $3, $4, $5)',
+    [callerUserId(req), action, targetUserId, details, req.ip || null]
+  );
+}
+
+// Secrets are encrypted at rest with AES-256-GCM, stored as iv.tag.ciphertext
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are shown as xxxxx-xxxxx; they are compared without case or dashes
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+// Replace a user's recovery codes with a fresh set and return them. Only their hashes are stored.
+async function issueRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, unnest($2::char(64)[])',
+    [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+  return codes;
+}
+
+// Check a TOTP code against `secret` and return its time step, or null. A step at or before
+// `lastStep` was already used and is refused, so an observed code cannot be replayed.
+const verifyTotp = (code, secret, lastStep) => {
+  const delta = authenticator.checkDelta(code, secret);
+  if (delta === null) {
+    return null;
+  }
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  return lastStep !== null && step <= Number(lastStep) ? null : step;
+};
+
+// Check a second factor of an enrolled user: a 6-digit TOTP code or an unused recovery code,
+// which is consumed. `user` needs id, totp_secret and totp_last_step; `db` should hold a
+// transaction that locked the user row. Returns 'totp', 'recovery' or null.
+async function verifySecondFactor(db, user, code) {
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(code, decryptSecret(user.totp_secret), user.totp_last_step);
+    if (step === null) {
+      return null;
+    }
+    await db.query('UPDATE users SET totp_last_step = $2 WHERE id = $1', [user.id, step]);
+    return 'totp';
+  }
+
+  const result = await db.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (SELECT id FROM recovery_codes WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL LIMIT 1)
+     RETURNING id`,
+    [user.id, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0 ? 'recovery' : null;
+}
+
+// Session and data export ids are UUIDs; anything else cannot match a row
+const UUID_FORMAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Profile fields returned by the /users endpoints
+const PROFILE_COLUMNS = 'id, email, name, roles, email_verified_at IS NOT NULL AS "emailVerified"';
+
+// Create a single-use password reset token for a registered email and mail the reset link.
+// Only the token's hash is stored; issuing a new one invalidates any earlier token.
+async function sendPasswordReset(email) {
+  const result = await pool.query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+  if (result.rows.length === 0) {
+    return;
+  }
+  const user = result.rows[0];
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+    [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  await mailer.sendMail({
+    from: MAIL_FROM,
+    to: user.email,
+    subject: 'Reset your ShopHub password',
+    text: [
+      `Hi ${user.name || user.email},`,
+      '',
+      'Someone asked to reset the password of your ShopHub account. To choose a new password, open:',
+      '',
+      link,
+      '',
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. If you did not ask for this, ignore this email; your password has not changed.`
+    ].join('\n')
+  });
+  console.log(`Password reset link sent to user ${user.id}`);
+}
+
+// Create a single-use email verification token for a user and mail the confirmation link.
+// As with password resets, only the hash is stored and a new token invalidates earlier ones.
+async function sendEmailVerification(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))`,
+    [user.id, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await mailer.sendMail({
+    from: MAIL_FROM,
+    to: user.email,
+    subject: 'Confirm your ShopHub email address',
+    text: [
+      `Hi ${user.name || user.email},`,
+      '',
+      'Welcome to ShopHub! To confirm your email address, open:',
+      '',
+      link,
+      '',
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not create a ShopHub account, ignore this email.`
+    ].join('\n')
+  });
+  console.log(`Verification link sent to user ${user.id}`);
+}
+
+// Send a notification to a user through notification-service
+const notifyUser = (notification) => {
+  if (rabbitmqChannel) {
+    rabbitmqChannel.sendToQueue('notifications', Buffer.from(JSON.stringify(notification)), { headers: correlation.headers() });
+  }
+};
+
+const formatDataExport = (row) => ({
+  id: row.id,
+  status: row.status,
+  error: row.error,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  expiresAt: row.expires_at
+});
+
+const DATA_EXPORT_COLUMNS = 'id, status, error, created_at, completed_at, expires_at';
+
+// Read a user's data held by another service
+const fetchUserData = async (baseURL, path, userId) =>
+  (await axios.get(`${baseURL}${path}`, { params: { userId }, headers: correlation.headers(), timeout: 10000 })).data;
+
+// Build a requested data export: the profile from this service plus the user's orders,
+// payments and notifications, bundled as one JSON document. The user is notified when
+// it is ready to download, or when it failed and should be requested again.
+async function buildDataExport(exportId) {
+  const pending = await pool.query(
+    `SELECT u.id, u.email, u.name, u.roles, u.email_verified_at, u.last_login_at, u.last_login_ip, u.created_at
+     FROM data_exports e JOIN users u ON u.id = e.user_id
+     WHERE e.id = $1 AND e.status = 'pending' AND u.deleted_at IS NULL`,
+    [exportId]
+  );
+  if (pending.rows.length === 0) {
+    return;
+  }
+  const user = pending.rows[0];
+
+  let archive;
+  try {
+    const [orders, payments, notifications, sessions] = await Promise.all([
+      fetchUserData(ORDER_SERVICE_URL, '/orders', user.id),
+      fetchUserData(PAYMENT_SERVICE_URL, '/payments', user.id),
+      fetchUserData(NOTIFICATION_SERVICE_URL, '/notifications', user.id),
+      pool.query(
+        `SELECT user_agent AS "userAgent", ip, created_at AS "createdAt", last_seen_at AS "lastSeenAt"
+         FROM sessions WHERE user_id = $1 ORDER BY created_at`,
+        [user.id]
+      )
+    ]);
+    archive = {
+      exportId,
+      generatedAt: new Date().toISOString(),
+      profile: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        roles: user.roles,
+        emailVerifiedAt: user.email_verified_at,
+        lastLoginAt: user.last_login_at,
+        lastLoginIp: user.last_login_ip,
+        createdAt: user.created_at
+      },
+      sessions: sessions.rows,
+      orders,
+      payments,
+      notifications
+    };
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error.message);
+    await pool.query(
+      `UPDATE data_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [exportId, 'Could not collect data from every service']
+    );
+    notifyUser({
+      userId: user.id,
+      type: 'export',
+      title: 'Data Export Failed',
+      message: 'We could not prepare your data export. Please request it again.',
+      data: { exportId }
+    });
+    return;
+  }
+
+  await pool.query(
+    `UPDATE data_exports SET status = 'ready', archive = $2, completed_at = CURRENT_TIMESTAMP,
+            expires_at = CURRENT_TIMESTAMP + make_interval(days => $3)
+     WHERE id = $1`,
+    [exportId, JSON.stringify(archive, null, 2), DATA_EXPORT_TTL_DAYS]
+  );
+  notifyUser({
+    userId: user.id,
+    type: 'export',
+    title: 'Data Export Ready',
+    message: `Your data export is ready. Download it from your profile within ${DATA_EXPORT_TTL_DAYS} days.`,
+    data: { exportId }
+  });
+  console.log(`Data export ${exportId} ready for user ${user.id}`);
+}
+
+// Drop the archives of exports past their download window
+setInterval(async () => {
+  try {
+    await pool.query(
+      `UPDATE data_exports SET status = 'expired', archive = NULL WHERE status = 'ready' AND expires_at < CURRENT_TIMESTAMP`
+    );
+  } catch (error) {
+    console.error('Data export cleanup error:', error.message);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Rotate the signing key when it is due, and delete keys no longer published
+setInterval(async () => {
+  try {
+    await rotateSigningKeyIfDue();
+    await pool.query(`DELETE FROM signing_keys k WHERE NOT (${PUBLISHED_KEYS_CONDITION})`, [RETIRED_KEY_GRACE_SECONDS]);
+  } catch (error) {
+    console.error('Signing key rotation error:', error.message);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Finish a login from `client` ({ ip, userAgent }): record it, start a session, issue its
+// tokens and cache the profile. Returns the login response body.
+async function completeLogin(user, client, { twoFactor = false } = {}) {
+  await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP, last_login_ip = $2 WHERE id = $1', [user.id, client.ip]);
+
+  // Generate access and refresh tokens
+  const sessionId = await createSession(pool, user.id, client);
+  const { token, refreshToken } = await issueTokens(pool, user, sessionId, { twoFactor });
+
+  const profile = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    emailVerified: user.email_verified
+  };
+
+  // Cache user in Redis
+  if (redisClient) {
+    await redisClient.setEx(`user:${user.id}`, 3600, JSON.stringify(profile));
+  }
+
+  return { token, refreshToken, user: profile };
+}
+
+// Redis keys for login throttling. Emails are lowercased so changing case does not reset the count.
+const accountLoginKeys = (email) => ({
+  failures: `login:failures:account:${email.toLowerCase()}`,
+  lock: `login:locked:${email.toLowerCase()}`
+});
+const ipFailuresKey = (ip) => `login:failures:ip:${ip}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before checking a password, doubling with every recent failure up to LOGIN_MAX_DELAY_MS
+const loginDelayMs = (failures) => (failures > 0 ? Math.min(LOGIN_MAX_DELAY_MS, 250 * 2 ** (failures - 1)) : 0);
+
+// Current throttling state of a login attempt. Without Redis, logins are not throttled.
+async function loginThrottle(email, ip) {
+  if (!redisClient?.isReady) {
+    return { failures: 0, lockedForSeconds: 0, ipBlockedForSeconds: 0 };
+  }
+  const keys = accountLoginKeys(email);
+  const [accountFailures, ipFailures, lockTtl, ipTtl] = await Promise.all([
+    redisClient.get(keys.failures),
+    redisClient.get(ipFailuresKey(ip)),
+    redisClient.ttl(keys.lock),
+    redisClient.ttl(ipFailuresKey(ip))
+  ]);
+  return {
+    failures: Math.max(parseInt(accountFailures) || 0, parseInt(ipFailures) || 0),
+    lockedForSeconds: Math.max(0, lockTtl),
+    ipBlockedForSeconds: parseInt(ipFailures) >= LOGIN_IP_MAX_FAILURES ? Math.max(1, ipTtl) : 0
+  };
+}
+
+// Count a failed login against the email and the IP. Reaching LOGIN_MAX_FAILURES locks the
+// account for LOGIN_LOCKOUT_MINUTES and tells its owner, if the email belongs to one.
+// Returns true when this failure locked the account.
+async function recordLoginFailure(email, ip, user) {
+  if (!redisClient?.isReady) {
+    return false;
+  }
+  const keys = accountLoginKeys(email);
+  const windowSeconds = LOGIN_FAILURE_WINDOW_MINUTES * 60;
+  const [accountFailures] = await redisClient.multi()
+    .incr(keys.failures)
+    .expire(keys.failures, windowSeconds)
+    .incr(ipFailuresKey(ip))
+    .expire(ipFailuresKey(ip), windowSeconds)
+    .exec();
+  if (accountFailures < LOGIN_MAX_FAILURES) {
+    return false;
+  }
+
+  await redisClient.multi()
+    .set(keys.lock, new Date().toISOString(), { EX: LOGIN_LOCKOUT_MINUTES * 60 })
+    .del(keys.failures)
+    .exec();
+  console.warn(`Login locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${accountFailures} failed attempts${user ? ` (user ${user.id})` : ''}, last from ${ip}`);
+
+  if (user) {
+    notifyUser({
+      userId: user.id,
+      type: 'security',
+      title: 'Account Locked',
+      message: `Your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after too many failed login attempts.`,
+      data: { ip }
+    });
+    mailer.sendMail({
+      from: MAIL_FROM,
+      to: user.email,
+      subject: 'Your ShopHub account has been locked',
+      text: [
+        `Hi ${user.name || user.email},`,
+        '',
+        `There were ${accountFailures} failed attempts to log in to your ShopHub account, the last one from ${ip}. To protect it, logins are blocked for ${LOGIN_LOCKOUT_MINUTES} minutes.`,
+        '',
+        `If this was not you, consider changing your password: ${APP_URL}`
+      ].join('\n')
+    }).catch(error => console.error('Lockout email error:', error));
+  }
+  return true;
+}
+
+// A successful login clears the account's failure count
+async function clearLoginFailures(email) {
+  if (redisClient?.isReady) {
+    await redisClient.del(accountLoginKeys(email).failures);
+  }
+}
+
+// API keys look like shk_<prefix>_<secret>. The prefix is stored in clear so admins can
+// tell keys apart; like refresh tokens, the full key is only ever stored as a hash.
+const API_KEY_FORMAT = /^shk_[0-9a-f]{8}_[\w-]{43}$/;
+
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  return { prefix, key: `shk_${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+};
+
+// Drop the API gateway's cached verification of a key so revocation and rotation apply at once
+async function forgetApiKey(keyHash) {
+  if (redisClient) {
+    await redisClient.del(`apikey:${keyHash}`);
+  }
+}
+
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  scopes: row.scopes,
+  createdBy: row.created_by,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  rotatedAt: row.rotated_at,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, created_by, expires_at, last_used_at, rotated_at, revoked_at, created_at';
+
+// Listings are paged with ?page= (from 1) and ?limit=
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const pageOf = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Pattern matching `text` anywhere with ILIKE, its wildcards escaped
+const containsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Sort keys accepted by the admin user listing, and the columns they sort by
+const USER_SORT_COLUMNS = {
+  createdAt: 'created_at',
+  email: 'email',
+  name: 'name',
+  lastLoginAt: 'last_login_at'
+};
+
+// Account fields shown to admins
+const ADMIN_USER_COLUMNS = `id, email, name, roles, email_verified_at, totp_enabled_at, suspended_at, suspension_reason,
+  last_login_at, last_login_ip, created_at`;
+
+const formatAdminUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  roles: row.roles,
+  emailVerified: row.email_verified_at !== null,
+  twoFactorEnabled: row.totp_enabled_at !== null,
+  suspended: row.suspended_at !== null,
+  suspendedAt: row.suspended_at,
+  suspensionReason: row.suspension_reason,
+  lastLoginAt: row.last_login_at,
+  lastLoginIp: row.last_login_ip,
+  createdAt: row.created_at
+});
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', service: 'user-service' });
+});
+
+// Readiness: every dependency this service talks to is reachable.
+// Non-critical dependencies only degrade the status.
+app.get(['/health', '/health/ready'], readinessHandler({
+  service: 'user-service',
+  checks: {
+    postgres: () => pool.query('SELECT 1'),
+    rabbitmq: () => (rabbitmqChannel ? rabbitmqChannel.checkQueue('user.created') : Promise.reject(new Error('not connected'))),
+    kafkaProducer: async () => { if (!kafkaProducerConnected) throw new Error('not connected'); },
+    redis: () => (redisClient?.isReady ? redisClient.ping() : Promise.reject(new Error('not connected')))
+  },
+  critical: ['postgres', 'rabbitmq', 'kafkaProducer', 'redis']
+}));
+
+// Public keys that verify access tokens (JSON Web Key Set)
+app.get('/.well-known/jwks.json', async (req, res) => {
   try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', service: 'user-service', database: 'connected' });
+    const result = await pool.query(
+      `SELECT public_jwk FROM signing_keys k WHERE ${PUBLISHED_KEYS_CONDITION} ORDER BY activates_at DESC`,
+      [RETIRED_KEY_GRACE_SECONDS]
+    );
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ keys: result.rows.map(row => row.public_jwk) });
   } catch (error) {
-    res.status(500).json({ status: 'error', service: 'user-service', database: 'disconnected' });
+    console.error('JWKS error:', error);
+    res.status(500).json({ error: 'Failed to fetch signing keys' });
   }
 });
 
 // Register user
-app.post('/register', async (req, res) => {
+app.post('/register', validateBody('auth.register'), async (req, res) => {
   try {
     const { email, password, name } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
     // Check if user exists
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingUser.rows.length > 0) {
@@ -117,20 +1074,26 @@ app.post('/register', async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
+    // The configured bootstrap admin gets admin rights on registration
+    const roles = ADMIN_EMAIL && email === ADMIN_EMAIL ? ['customer', 'admin'] : ['customer'];
+
     // Create user in database
     const result = await pool.query(
-      'INSERT INTO users (email, password, name) VALUES ($1, $2, $3) RETURNING id, email, name, created_at',
-      [email, hashedPassword, name || email]
+      'INSERT INTO users (email, password, name, roles) VALUES ($1, $2, $3, $4) RETURNING id, email, name, roles, email_verified_at IS NOT NULL AS email_verified, created_at',
+      [email, hashedPassword, name || email, roles]
     );
     const user = result.rows[0];
 
+    // New accounts start unverified; a failed email can be sent again with /resend-verification
+    sendEmailVerification(user).catch(error => console.error('Verification email error:', error));
+
     // Publish to RabbitMQ
     if (rabbitmqChannel) {
       rabbitmqChannel.sendToQueue('user.created', Buffer.from(JSON.stringify({
         userId: user.id,
         email: user.email,
         name: user.name
-      })));
+      })), { headers: correlation.headers() });
     }
 
     // Publish to Kafka
@@ -139,6 +1102,7 @@ app.post('/register', async (req, res) => {
         topic: 'user-events',
         messages: [{
           key: 'user.created',
+          headers: correlation.headers(),
           value: JSON.stringify({
             userId: user.id,
             email: user.email,
@@ -153,24 +1117,26 @@ app.post('/register', async (req, res) => {
       await redisClient.setEx(`user:${user.id}`, 3600, JSON.stringify({
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        roles: user.roles,
+        emailVerified: user.email_verified
       }));
     }
 
-    // Automatically generate token for instant login after registration
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Automatically generate tokens for instant login after registration
+    const sessionId = await createSession(pool, user.id, requestClient(req));
+    const { token, refreshToken } = await issueTokens(pool, user, sessionId);
 
     res.status(201).json({
       message: 'User created successfully',
       token: token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        roles: user.roles,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
@@ -180,103 +1146,1491 @@ app.post('/register', async (req, res) => {
 });
 
 // Login user
-app.post('/login', async (req, res) => {
+app.post('/login', validateBody('auth.login'), async (req, res) => {
   try {
     const { email, password } = req.body;
+    const ip = req.ip;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    // Refuse locked accounts and blocked IPs, and slow down attempts after recent failures
+    const throttle = await loginThrottle(email, ip);
+    if (throttle.lockedForSeconds > 0) {
+      res.set('Retry-After', String(throttle.lockedForSeconds));
+      return res.status(423).json({ error: 'Account temporarily locked after too many failed login attempts' });
     }
-
-    // Check Redis cache first
-    let user = null;
-    if (redisClient) {
-      // Try to find user by email in cache (we'd need to store email->id mapping for this)
-      // For now, query database
+    if (throttle.ipBlockedForSeconds > 0) {
+      res.set('Retry-After', String(throttle.ipBlockedForSeconds));
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later' });
     }
+    await sleep(loginDelayMs(throttle.failures));
 
     // Query database
-    const result = await pool.query('SELECT id, email, password, name FROM users WHERE email = $1', [email]);
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    user = result.rows[0];
+    const result = await pool.query(`SELECT id, email, password, name, roles, email_verified_at IS NOT NULL AS email_verified,
+              totp_enabled_at IS NOT NULL AS totp_enabled, two_factor_required, suspended_at IS NOT NULL AS suspended
+       FROM users WHERE email = $1 AND deleted_at IS NULL`, [email]);
+    const user = result.rows[0];
 
     // Verify password
-    const isValid = await bcrypt.compare(password, user.password);
+    const isValid = user ? await bcrypt.compare(password, user.password) : false;
     if (!isValid) {
+      if (await recordLoginFailure(email, ip, user)) {
+        res.set('Retry-After', String(LOGIN_LOCKOUT_MINUTES * 60));
+        return res.status(423).json({ error: 'Account temporarily locked after too many failed login attempts' });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Only told once the password is known to be right
+    if (user.suspended) {
+      return res.status(403).json({ error: 'Account suspended', suspended: true });
+    }
 
-    // Cache user in Redis
-    if (redisClient) {
-      await redisClient.setEx(`user:${user.id}`, 3600, JSON.stringify({
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }));
+    // Enrolled users get a challenge to exchange with a code at /login/2fa instead of tokens.
+    // Their failure count is only cleared once the code is right, so wrong codes add up
+    // across challenges.
+    if (user.totp_enabled) {
+      const challengeToken = crypto.randomBytes(32).toString('base64url');
+      await pool.query(
+        `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))`,
+        [user.id, hashToken(challengeToken), TWO_FACTOR_CHALLENGE_TTL_SECONDS]
+      );
+      return res.json({ twoFactorRequired: true, challengeToken, expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS });
     }
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
-    });
+    await clearLoginFailures(email);
+    res.json(await completeLogin(user, requestClient(req)));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Get user by ID
-app.get('/users/:id', async (req, res) => {
+// Second login step: exchange a challenge from /login and a TOTP or recovery code for tokens.
+// Wrong codes count as failed logins, so they lead to the same lockout as wrong passwords.
+app.post('/login/2fa', validateBody('auth.login-2fa'), async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let client;
   try {
-    const userId = parseInt(req.params.id);
+    client = await pool.connect();
+    await client.query('BEGIN');
 
-    // Check Redis cache first
-    let userData = null;
-    if (redisClient) {
-      const cached = await redisClient.get(`user:${userId}`);
-      if (cached) {
-        userData = JSON.parse(cached);
-      }
+    const result = await client.query(
+      `SELECT c.id AS challenge_id, u.id, u.email, u.name, u.roles, u.email_verified_at IS NOT NULL AS email_verified,
+              u.two_factor_required, u.totp_secret, u.totp_last_step
+       FROM two_factor_challenges c JOIN users u ON u.id = c.user_id
+       WHERE c.token_hash = $1 AND c.used_at IS NULL AND c.expires_at > CURRENT_TIMESTAMP AND c.attempts < $2
+         AND u.totp_enabled_at IS NOT NULL AND u.deleted_at IS NULL AND u.suspended_at IS NULL
+       FOR UPDATE OF c, u`,
+      [hashToken(challengeToken), TWO_FACTOR_MAX_ATTEMPTS]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid or expired login challenge, please log in again' });
     }
+    const user = result.rows[0];
 
-    // If not in cache, query database
-    if (!userData) {
-      const result = await pool.query('SELECT id, email, name FROM users WHERE id = $1', [userId]);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
+    // A challenge issued before the account was locked does not get around the lock
+    const throttle = await loginThrottle(user.email, req.ip);
+    if (throttle.lockedForSeconds > 0 || throttle.ipBlockedForSeconds > 0) {
+      await client.query('ROLLBACK');
+      if (throttle.lockedForSeconds > 0) {
+        res.set('Retry-After', String(throttle.lockedForSeconds));
+        return res.status(423).json({ error: 'Account temporarily locked after too many failed login attempts' });
       }
+      res.set('Retry-After', String(throttle.ipBlockedForSeconds));
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later' });
+    }
 
-      userData = result.rows[0];
-
-      // Cache in Redis
-      if (redisClient) {
-        await redisClient.setEx(`user:${userId}`, 3600, JSON.stringify(userData));
+    const factor = await verifySecondFactor(client, user, code);
+    if (!factor) {
+      await client.query('UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = $1', [user.challenge_id]);
+      await client.query('COMMIT');
+      if (await recordLoginFailure(user.email, req.ip, user)) {
+        res.set('Retry-After', String(LOGIN_LOCKOUT_MINUTES * 60));
+        return res.status(423).json({ error: 'Account temporarily locked after too many failed login attempts' });
       }
+      return res.status(401).json({ error: 'Invalid authentication code' });
     }
 
-    res.json(userData);
+    await client.query('UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [user.challenge_id]);
+    await client.query('COMMIT');
+    await clearLoginFailures(user.email);
+
+    if (factor === 'recovery') {
+      console.log(`User ${user.id} signed in with a recovery code`);
+    }
+    res.json(await completeLogin(user, requestClient(req), { twoFactor: true }));
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  } finally {
+    client?.release();
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`User Service running on port ${PORT}`);
-});
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/refresh', validateBody('auth.refresh'), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT rt.id, rt.family_id, rt.revoked_at, rt.expires_at < CURRENT_TIMESTAMP AS expired, rt.two_factor,
+              u.id AS user_id, u.email, u.roles, u.email_verified_at IS NOT NULL AS email_verified, u.two_factor_required,
+              u.suspended_at IS NOT NULL AS suspended
+       FROM refresh_tokens rt JOIN users u ON u.id = rt.user_id
+       WHERE rt.token_hash = $1 FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const stored = result.rows[0];
+
+    // Suspension revokes every session; say why rather than treating the token as reused
+    if (stored.suspended) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Account suspended', suspended: true });
+    }
+
+    // A rotated token being presented again means it has leaked: kill the whole family
+    if (stored.revoked_at) {
+      await revokeTokenFamily(client, stored.family_id);
+      await client.query('COMMIT');
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (stored.expired) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    await client.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+    await client.query('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.family_id]);
+    const tokens = await issueTokens(
+      client,
+      {
+        id: stored.user_id,
+        email: stored.email,
+        roles: stored.roles,
+        email_verified: stored.email_verified,
+        two_factor_required: stored.two_factor_required
+      },
+      stored.family_id,
+      { twoFactor: stored.two_factor }
+    );
+    await client.query('COMMIT');
+
+    res.json(tokens);
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Logout: revoke the refresh token family and the presented access token. jti and exp are
+// injected by the gateway from the access token.
+app.post('/logout', internalOnly, validateBody('auth.logout'), async (req, res) => {
+  try {
+    const userId = callerUserId(req);
+    const { refreshToken, jti, exp } = req.body;
+
+    if (refreshToken) {
+      const result = await pool.query(
+        'SELECT family_id FROM refresh_tokens WHERE token_hash = $1 AND user_id = $2',
+        [hashToken(refreshToken), userId]
+      );
+      if (result.rows.length > 0) {
+        await revokeTokenFamily(pool, result.rows[0].family_id);
+      }
+    }
+
+    if (jti && exp) {
+      await revokeAccessToken(jti, exp - Math.floor(Date.now() / 1000));
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Request a password reset link. The answer is the same whether or not the email is
+// registered, and it is sent before any lookup so response times do not tell either.
+app.post('/forgot-password', validateBody('auth.forgot-password'), async (req, res) => {
+  res.status(202).json({ message: 'If an account exists for that email, a password reset link has been sent' });
+
+  try {
+    await sendPasswordReset(req.body.email);
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+});
+
+// Set a new password with a reset token. The token is consumed, and every session of the
+// account is revoked so a stolen session does not survive the reset.
+app.post('/reset-password', validateBody('auth.reset-password'), async (req, res) => {
+  const { token, password } = req.body;
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    const { id, user_id: userId } = result.rows[0];
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
+    await client.query('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    await revokeUserSessions(client, userId);
+    await client.query('COMMIT');
+
+    console.log(`Password reset for user ${userId}; all sessions revoked`);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Confirm an email address with the token from the verification email
+app.get('/verify-email', async (req, res) => {
+  const { token } = req.query;
+  if (typeof token !== 'string' || token.length === 0) {
+    return res.status(400).json({ error: 'token is required' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, user_id FROM email_verification_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+    const { id, user_id: userId } = result.rows[0];
+
+    await client.query('UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    const updated = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 RETURNING id, email, email_verified_at`,
+      [userId]
+    );
+    await client.query('COMMIT');
+    const user = updated.rows[0];
+
+    // The address is verified once committed; a failed cache invalidation or event is only logged
+    try {
+      if (redisClient) {
+        await redisClient.del(`user:${userId}`);
+      }
+    } catch (error) {
+      console.error('Cache invalidation error after email verification:', error.message);
+    }
+
+    try {
+      if (kafkaProducer) {
+        await kafkaProducer.send({
+          topic: 'user-events',
+          messages: [{
+            key: 'user.verified',
+            headers: correlation.headers(),
+            value: JSON.stringify({
+              userId: user.id,
+              email: user.email,
+              timestamp: user.email_verified_at.toISOString()
+            })
+          }]
+        });
+      }
+    } catch (error) {
+      console.error('Failed to publish user.verified:', error.message);
+    }
+
+    console.log(`Email verified for user ${userId}`);
+    res.json({ message: 'Email address verified', user: { id: user.id, email: user.email, emailVerified: true } });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Send a new verification email to the signed-in user. At most one is sent per
+// EMAIL_VERIFICATION_RESEND_SECONDS; the API gateway also rate limits the route.
+app.post('/resend-verification', internalOnly, async (req, res) => {
+  try {
+    const userId = callerUserId(req);
+
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.name, u.email_verified_at,
+              (SELECT GREATEST(0, CEIL(EXTRACT(EPOCH FROM (MAX(t.created_at) + make_interval(secs => $2) - CURRENT_TIMESTAMP))))::int
+               FROM email_verification_tokens t WHERE t.user_id = u.id) AS retry_after
+       FROM users u WHERE u.id = $1`,
+      [userId, EMAIL_VERIFICATION_RESEND_SECONDS]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = result.rows[0];
+
+    if (user.email_verified_at) {
+      return res.status(409).json({ error: 'Email address is already verified' });
+    }
+    if (user.retry_after > 0) {
+      res.set('Retry-After', String(user.retry_after));
+      return res.status(429).json({ error: 'A verification email was sent recently, please wait before asking again' });
+    }
+
+    await sendEmailVerification(user);
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Get user by ID
+app.get('/users/:id', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    // Check Redis cache first
+    let userData = null;
+    if (redisClient) {
+      const cached = await redisClient.get(`user:${userId}`);
+      if (cached) {
+        userData = JSON.parse(cached);
+      }
+    }
+
+    // If not in cache, query database
+    if (!userData) {
+      const result = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL`, [userId]);
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      userData = result.rows[0];
+
+      // Cache in Redis
+      if (redisClient) {
+        await redisClient.setEx(`user:${userId}`, 3600, JSON.stringify(userData));
+      }
+    }
+
+    res.json(userData);
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Update a user's name and/or email. Changing the email takes the current password, and the
+// new address has to be verified again.
+app.patch('/users/:id', selfOnly, validateBody('user.update'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { name, email, currentPassword } = req.body;
+
+    const existing = await pool.query('SELECT email, password FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const emailChanged = email !== undefined && email !== existing.rows[0].email;
+    if (emailChanged && !(await bcrypt.compare(currentPassword, existing.rows[0].password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET name = COALESCE($2, name), email = COALESCE($3, email),
+              email_verified_at = CASE WHEN $3::text IS NULL THEN email_verified_at ELSE NULL END
+       WHERE id = $1 RETURNING ${PROFILE_COLUMNS}`,
+      [userId, name ?? null, emailChanged ? email : null]
+    );
+    const user = result.rows[0];
+
+    if (redisClient) {
+      await redisClient.del(`user:${userId}`);
+    }
+    if (emailChanged) {
+      sendEmailVerification(user).catch(error => console.error('Verification email error:', error));
+    }
+
+    res.json(user);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Email is already in use' });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Change a user's password. Every other session is signed out; the one the request was made
+// with (the access token `jti` injected by the API gateway) stays signed in.
+app.post('/users/:id/password', selfOnly, validateBody('user.change-password'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { currentPassword, newPassword, jti } = req.body;
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT password FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [userId]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await bcrypt.compare(currentPassword, existing.rows[0].password))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    await revokeOtherSessions(client, userId, jti || null);
+    await client.query('COMMIT');
+
+    console.log(`Password changed for user ${userId}; other sessions revoked`);
+    res.json({ message: 'Password changed. Other sessions have been signed out.' });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Delete a user's account, confirmed with their password. The row is kept so orders and
+// payments still resolve, but it is anonymised: the email, name and password are replaced,
+// pending email tokens are dropped and every session is revoked. Other services scrub
+// their copies of the user's data when they receive `user.deleted`.
+app.delete('/users/:id', selfOnly, validateBody('user.delete'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT password FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [userId]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await bcrypt.compare(req.body.password, existing.rows[0].password))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    await client.query(
+      `UPDATE users SET email = 'deleted-user-' || id || '@deleted.invalid', name = NULL, password = '',
+              roles = ARRAY['customer'], email_verified_at = NULL, deleted_at = CURRENT_TIMESTAMP,
+              totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM two_factor_challenges WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM data_exports WHERE user_id = $1', [userId]);
+    await revokeUserSessions(client, userId);
+    await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+
+    if (redisClient) {
+      await redisClient.del(`user:${userId}`);
+    }
+
+    if (kafkaProducer) {
+      await kafkaProducer.send({
+        topic: 'user-events',
+        messages: [{
+          key: 'user.deleted',
+          headers: correlation.headers(),
+          value: JSON.stringify({
+            userId,
+            timestamp: new Date().toISOString()
+          })
+        }]
+      });
+    }
+
+    console.log(`Account of user ${userId} deleted and anonymised`);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  } finally {
+    client?.release();
+  }
+});
+
+// A user's active sessions: those still holding a usable refresh token. `jti`, the access
+// token of the request, marks the session it belongs to as current.
+app.get('/users/:id/sessions', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const jti = UUID_FORMAT.test(req.query.jti || '') ? req.query.jti : null;
+
+    const result = await pool.query(
+      `SELECT s.id, s.user_agent, s.ip, s.created_at, s.last_seen_at,
+              EXISTS (SELECT 1 FROM refresh_tokens c WHERE c.family_id = s.id AND c.access_jti = $2) AS current
+       FROM sessions s
+       WHERE s.user_id = $1 AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = s.id AND rt.revoked_at IS NULL AND rt.expires_at > CURRENT_TIMESTAMP
+       )
+       ORDER BY s.last_seen_at DESC`,
+      [userId, jti]
+    );
+
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_seen_at,
+      current: row.current
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out one session: its refresh tokens are revoked, and the access tokens issued with
+// them are put on the revocation list the API gateway checks
+app.delete('/users/:id/sessions/:sessionId', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { sessionId } = req.params;
+    if (!UUID_FORMAT.test(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const result = await pool.query('SELECT id FROM sessions WHERE id = $1 AND user_id = $2', [sessionId, userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeTokenFamily(pool, sessionId);
+
+    console.log(`Session ${sessionId} of user ${userId} signed out`);
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+// Two-factor status of a user
+app.get('/users/:id/2fa', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `SELECT u.roles, u.two_factor_required, u.totp_enabled_at,
+              (SELECT COUNT(*) FROM recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL)::int AS recovery_codes
+       FROM users u WHERE u.id = $1 AND u.deleted_at IS NULL`,
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = result.rows[0];
+
+    res.json({
+      enabled: user.totp_enabled_at !== null,
+      enabledAt: user.totp_enabled_at,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.totp_enabled_at !== null ? user.recovery_codes : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrolling an authenticator, confirmed with the password. A new secret is stored until
+// /2fa/enable confirms it with a first code; starting again replaces it.
+app.post('/users/:id/2fa/setup', selfOnly, validateBody('user.2fa-setup'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const existing = await pool.query(
+      'SELECT email, password, totp_enabled_at FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [userId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = existing.rows[0];
+    if (user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!(await bcrypt.compare(req.body.password, user.password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const secret = authenticator.generateSecret(20);
+    await pool.query('UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1', [userId, encryptSecret(secret)]);
+
+    const otpauthUrl = authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+    res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrolling with a code from the authenticator. The user gets their recovery codes,
+// the current session counts as signed in with 2FA from its next refresh, and every other
+// session is signed out.
+app.post('/users/:id/2fa/enable', selfOnly, validateBody('user.2fa-code'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { code, jti } = req.body;
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = existing.rows[0];
+    if (user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_secret) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = /^\d{6}$/.test(code) ? verifyTotp(code, decryptSecret(user.totp_secret), null) : null;
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await client.query('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2 WHERE id = $1', [userId, step]);
+    const recoveryCodes = await issueRecoveryCodes(client, userId);
+    await client.query(
+      'UPDATE refresh_tokens SET two_factor = true WHERE family_id IN (SELECT family_id FROM refresh_tokens WHERE access_jti = $1 AND user_id = $2)',
+      [jti || null, userId]
+    );
+    await revokeOtherSessions(client, userId, jti || null);
+    await client.query('COMMIT');
+
+    notifyUser({
+      userId,
+      type: 'security',
+      title: 'Two-Factor Authentication Enabled',
+      message: 'Logins to your account now need a code from your authenticator app.'
+    });
+    console.log(`Two-factor authentication enabled for user ${userId}; other sessions revoked`);
+    res.json({ message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', recoveryCodes });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Replace the recovery codes, confirmed with a current code
+app.post('/users/:id/2fa/recovery-codes', selfOnly, validateBody('user.2fa-code'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL AND deleted_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await verifySecondFactor(client, existing.rows[0], req.body.code))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(client, userId);
+    await client.query('COMMIT');
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Turn off 2FA in one transaction: the secret, recovery codes and open login challenges are
+// dropped, and no session counts as signed in with 2FA any more.
+async function clearTwoFactor(client, userId) {
+  await client.query('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1', [userId]);
+  await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM two_factor_challenges WHERE user_id = $1', [userId]);
+  await client.query('UPDATE refresh_tokens SET two_factor = false WHERE user_id = $1', [userId]);
+}
+
+// Disable 2FA, confirmed with the password and a current code. Not allowed while the
+// user's roles or an admin require it.
+app.delete('/users/:id/2fa', selfOnly, validateBody('user.2fa-disable'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { password, code } = req.body;
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, password, roles, two_factor_required, totp_secret, totp_last_step
+       FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL AND deleted_at IS NULL FOR UPDATE`,
+      [userId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const user = existing.rows[0];
+    if (isTwoFactorRequired(user)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Two-factor authentication is required for this account' });
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    if (!(await verifySecondFactor(client, user, code))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearTwoFactor(client, userId);
+    await client.query('COMMIT');
+
+    notifyUser({
+      userId,
+      type: 'security',
+      title: 'Two-Factor Authentication Disabled',
+      message: 'Logins to your account no longer need a code from your authenticator app.'
+    });
+    console.log(`Two-factor authentication disabled for user ${userId}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Request an export of everything stored about a user. The archive is built in the
+// background (see buildDataExport); only one export per user runs at a time.
+app.post('/users/:id/exports', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (!rabbitmqChannel) {
+      return res.status(503).json({ error: 'Data export is temporarily unavailable' });
+    }
+
+    const running = await pool.query(
+      `SELECT ${DATA_EXPORT_COLUMNS} FROM data_exports WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+    if (running.rows.length > 0) {
+      return res.status(409).json({ error: 'A data export is already in progress', export: formatDataExport(running.rows[0]) });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO data_exports (id, user_id)
+       SELECT $1, id FROM users WHERE id = $2 AND deleted_at IS NULL
+       RETURNING ${DATA_EXPORT_COLUMNS}`,
+      [crypto.randomUUID(), userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const dataExport = result.rows[0];
+
+    rabbitmqChannel.sendToQueue('user.export', Buffer.from(JSON.stringify({ exportId: dataExport.id })), {
+      persistent: true,
+      headers: correlation.headers()
+    });
+
+    res.status(202).json(formatDataExport(dataExport));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A data export is already in progress' });
+    }
+    console.error('Request data export error:', error);
+    res.status(500).json({ error: 'Failed to request data export' });
+  }
+});
+
+// List a user's data exports, newest first
+app.get('/users/:id/exports', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const result = await pool.query(
+      `SELECT ${DATA_EXPORT_COLUMNS} FROM data_exports WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId]
+    );
+    res.json(result.rows.map(formatDataExport));
+  } catch (error) {
+    console.error('List data exports error:', error);
+    res.status(500).json({ error: 'Failed to fetch data exports' });
+  }
+});
+
+// Download a finished data export as a JSON file
+app.get('/users/:id/exports/:exportId/download', selfOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { exportId } = req.params;
+    if (!UUID_FORMAT.test(exportId)) {
+      return res.status(404).json({ error: 'Data export not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT status, archive, expires_at < CURRENT_TIMESTAMP AS expired
+       FROM data_exports WHERE id = $1 AND user_id = $2`,
+      [exportId, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Data export not found' });
+    }
+    const dataExport = result.rows[0];
+
+    if (dataExport.status === 'expired' || (dataExport.status === 'ready' && dataExport.expired)) {
+      return res.status(410).json({ error: 'Data export has expired, please request a new one' });
+    }
+    if (dataExport.status !== 'ready') {
+      return res.status(409).json({ error: `Data export is ${dataExport.status}` });
+    }
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="shophub-data-export-${exportId}.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(dataExport.archive);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ error: 'Failed to download data export' });
+  }
+});
+
+// List accounts for admins (enforced by the API gateway). ?search= matches email or name,
+// ?status= is 'active' or 'suspended', and ?sort= (see USER_SORT_COLUMNS) with ?order=asc|desc
+// orders the results, newest first by default. Paged with ?page= and ?limit=.
+app.get('/users', internalOnly, async (req, res) => {
+  try {
+    const { search, status, sort = 'createdAt', order = 'desc' } = req.query;
+    if (!USER_SORT_COLUMNS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(USER_SORT_COLUMNS).join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    if (status !== undefined && !['active', 'suspended'].includes(status)) {
+      return res.status(400).json({ error: 'status must be active or suspended' });
+    }
+    const { page, limit, offset } = pageOf(req.query);
+
+    const filter = `deleted_at IS NULL
+      AND ($1::text IS NULL OR email ILIKE $1 OR name ILIKE $1)
+      AND ($2::text IS NULL OR (suspended_at IS NOT NULL) = ($2 = 'suspended'))`;
+    const params = [search ? containsPattern(String(search)) : null, status || null];
+
+    const [rows, count] = await Promise.all([
+      pool.query(
+        `SELECT ${ADMIN_USER_COLUMNS} FROM users WHERE ${filter}
+         ORDER BY ${USER_SORT_COLUMNS[sort]} ${order.toUpperCase()} NULLS LAST, id
+         LIMIT $3 OFFSET $4`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM users WHERE ${filter}`, params)
+    ]);
+
+    res.json({ users: rows.rows.map(formatAdminUser), page, limit, total: count.rows[0].total });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Count a user's records held by another service; null when it cannot be reached
+const countUserData = (baseURL, path, userId) =>
+  fetchUserData(baseURL, path, userId)
+    .then(data => data.count)
+    .catch((error) => {
+      console.error(`Count from ${baseURL}${path} failed:`, error.message);
+      return null;
+    });
+
+// An account as admins see it, with its number of orders and payments (admin only,
+// enforced by the API gateway)
+app.get('/users/:id/details', internalOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await pool.query(`SELECT ${ADMIN_USER_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL`, [userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [orderCount, paymentCount, sessions] = await Promise.all([
+      countUserData(ORDER_SERVICE_URL, '/orders/count', userId),
+      countUserData(PAYMENT_SERVICE_URL, '/payments/count', userId),
+      pool.query(
+        `SELECT COUNT(*)::int AS count FROM sessions s
+         WHERE s.user_id = $1
+           AND EXISTS (SELECT 1 FROM refresh_tokens rt WHERE rt.family_id = s.id AND rt.revoked_at IS NULL AND rt.expires_at > CURRENT_TIMESTAMP)`,
+        [userId]
+      )
+    ]);
+
+    res.json({
+      ...formatAdminUser(result.rows[0]),
+      activeSessions: sessions.rows[0].count,
+      orderCount,
+      paymentCount
+    });
+  } catch (error) {
+    console.error('Get user details error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Suspend an account (admin only, enforced by the API gateway). Every session is signed out,
+// logins and refreshes are refused and the gateway rejects the user's remaining access tokens.
+// The gateway learns of the suspension through Redis, so without Redis nothing is changed.
+app.post('/users/:id/suspend', internalOnly, validateBody('user.suspend'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (userId === callerUserId(req)) {
+    return res.status(400).json({ error: 'You cannot suspend your own account' });
+  }
+  if (!redisClient?.isReady) {
+    return res.status(503).json({ error: 'Account suspension is unavailable' });
+  }
+
+  let client;
+  let marked = false;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspension_reason = $2
+       WHERE id = $1 AND deleted_at IS NULL AND suspended_at IS NULL
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [userId, req.body.reason || null]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: 'User not found' })
+        : res.status(409).json({ error: 'User is already suspended' });
+    }
+
+    await revokeUserSessions(client, userId);
+    await recordAdminAction(client, req, 'user.suspend', userId, { reason: req.body.reason || null });
+    // Before committing, so a suspension is only recorded once the gateway enforces it
+    await markSuspended(userId, true);
+    marked = true;
+    await client.query('COMMIT');
+
+    console.log(`User ${userId} suspended; sessions revoked`);
+    res.json(formatAdminUser(result.rows[0]));
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    if (marked) {
+      await markSuspended(userId, false).catch(() => {});
+    }
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Lift a suspension (admin only, enforced by the API gateway). The user logs in again.
+app.post('/users/:id/reactivate', internalOnly, async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (!redisClient?.isReady) {
+    return res.status(503).json({ error: 'Account suspension is unavailable' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users SET suspended_at = NULL, suspension_reason = NULL
+       WHERE id = $1 AND deleted_at IS NULL AND suspended_at IS NOT NULL
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: 'User not found' })
+        : res.status(409).json({ error: 'User is not suspended' });
+    }
+
+    await recordAdminAction(client, req, 'user.reactivate', userId);
+    // If this fails the user stays suspended; if only the commit fails, the user is still
+    // refused at login, which holds until the reactivation is retried
+    await markSuspended(userId, false);
+    await client.query('COMMIT');
+
+    console.log(`User ${userId} reactivated`);
+    res.json(formatAdminUser(result.rows[0]));
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Admin actions, newest first (admin only, enforced by the API gateway). Filtered by
+// ?adminId= (who acted), ?userId= (who was acted on) and ?action=; paged with ?page= and ?limit=.
+app.get('/audit-log', internalOnly, async (req, res) => {
+  try {
+    const { page, limit, offset } = pageOf(req.query);
+    const filter = `($1::int IS NULL OR l.actor_id = $1)
+      AND ($2::int IS NULL OR l.target_user_id = $2)
+      AND ($3::text IS NULL OR l.action = $3)`;
+    const params = [parseInt(req.query.adminId) || null, parseInt(req.query.userId) || null, req.query.action || null];
+
+    const [rows, count] = await Promise.all([
+      pool.query(
+        `SELECT l.id, l.action, l.actor_id, actor.email AS actor_email, l.target_user_id, target.email AS target_email,
+                l.details, l.ip, l.created_at
+         FROM admin_audit_log l
+         LEFT JOIN users actor ON actor.id = l.actor_id
+         LEFT JOIN users target ON target.id = l.target_user_id
+         WHERE ${filter}
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT $4 OFFSET $5`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM admin_audit_log l WHERE ${filter}`, params)
+    ]);
+
+    res.json({
+      entries: rows.rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        actorId: row.actor_id,
+        actorEmail: row.actor_email,
+        targetUserId: row.target_user_id,
+        targetEmail: row.target_email,
+        details: row.details,
+        ip: row.ip,
+        createdAt: row.created_at
+      })),
+      page,
+      limit,
+      total: count.rows[0].total
+    });
+  } catch (error) {
+    console.error('List audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Grant a role to a user (admin only, enforced by the API gateway)
+app.post('/users/:id/roles', internalOnly, validateBody('role.grant'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    const result = await pool.query(
+      `UPDATE users SET roles = CASE WHEN $1 = ANY(roles) THEN roles ELSE array_append(roles, $1) END
+       WHERE id = $2 AND deleted_at IS NULL RETURNING id, email, name, roles`,
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Drop cached profile so the new roles are visible immediately
+    if (redisClient) {
+      await redisClient.del(`user:${userId}`);
+    }
+    await recordAdminAction(pool, req, 'role.grant', userId, { role });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+});
+
+// Require 2FA for a user regardless of their roles, or lift that requirement (admin only,
+// enforced by the API gateway). Takes effect on the user's next token refresh.
+app.put('/users/:id/2fa/requirement', internalOnly, validateBody('user.2fa-requirement'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE users SET two_factor_required = $2 WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, roles, two_factor_required, totp_enabled_at IS NOT NULL AS enabled`,
+      [userId, req.body.required]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = result.rows[0];
+    await recordAdminAction(pool, req, 'twofactor.requirement', userId, { required: req.body.required });
+
+    res.json({ id: user.id, enabled: user.enabled, required: isTwoFactorRequired(user) });
+  } catch (error) {
+    console.error('Set two-factor requirement error:', error);
+    res.status(500).json({ error: 'Failed to update two-factor requirement' });
+  }
+});
+
+// Reset a user's 2FA after they lost their authenticator and recovery codes (admin only,
+// enforced by the API gateway). Every session of the user is signed out; if 2FA is required
+// for them they enroll again after their next login.
+app.post('/users/:id/2fa/reset', internalOnly, async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [userId]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await clearTwoFactor(client, userId);
+    await revokeUserSessions(client, userId);
+    await recordAdminAction(client, req, 'twofactor.reset', userId);
+    await client.query('COMMIT');
+
+    notifyUser({
+      userId,
+      type: 'security',
+      title: 'Two-Factor Authentication Reset',
+      message: 'An administrator reset two-factor authentication on your account. Set it up again from your profile.'
+    });
+    console.log(`Two-factor authentication reset for user ${userId}; sessions revoked`);
+    res.json({ message: 'Two-factor authentication reset', userId });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Lift a login lockout and clear the account's failed attempts (staff, enforced by the API gateway)
+app.post('/users/:id/unlock', internalOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (!redisClient?.isReady) {
+      return res.status(503).json({ error: 'Login protection is unavailable' });
+    }
+
+    const result = await pool.query('SELECT email FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const keys = accountLoginKeys(result.rows[0].email);
+    const [, wasLocked] = await redisClient.multi()
+      .del(keys.failures)
+      .del(keys.lock)
+      .exec();
+    await recordAdminAction(pool, req, 'account.unlock', userId, { wasLocked: Boolean(wasLocked) });
+
+    console.log(`Login unlocked for user ${userId}`);
+    res.json({ message: wasLocked ? 'Account unlocked' : 'Account was not locked', userId });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Revoke a role from a user (admin only, enforced by the API gateway)
+app.delete('/users/:id/roles/:role', internalOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (role === 'customer') {
+      return res.status(400).json({ error: 'The customer role cannot be revoked' });
+    }
+
+    const result = await pool.query(
+      'UPDATE users SET roles = array_remove(roles, $1) WHERE id = $2 AND deleted_at IS NULL RETURNING id, email, name, roles',
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (redisClient) {
+      await redisClient.del(`user:${userId}`);
+    }
+    await recordAdminAction(pool, req, 'role.revoke', userId, { role });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
+// Signing keys and their state (admin only, enforced by the API gateway)
+app.get('/signing-keys', internalOnly, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT kid, algorithm, created_at, activates_at,
+              CASE WHEN activates_at > CURRENT_TIMESTAMP THEN 'pending'
+                   WHEN kid = (SELECT kid FROM signing_keys WHERE activates_at <= CURRENT_TIMESTAMP ORDER BY activates_at DESC LIMIT 1) THEN 'active'
+                   ELSE 'retired' END AS status
+       FROM signing_keys ORDER BY activates_at DESC`
+    );
+    res.json(result.rows.map(row => ({
+      kid: row.kid,
+      algorithm: row.algorithm,
+      status: row.status,
+      createdAt: row.created_at,
+      activatesAt: row.activates_at
+    })));
+  } catch (error) {
+    console.error('List signing keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+// Start a key rotation now instead of waiting for JWT_KEY_ROTATION_DAYS (admin only,
+// enforced by the API gateway). The new key is published at once and signs tokens after
+// JWT_KEY_ACTIVATION_DELAY_SECONDS.
+app.post('/signing-keys/rotate', internalOnly, async (req, res) => {
+  try {
+    const kid = await rotateSigningKeyIfDue({ force: true });
+    await recordAdminAction(pool, req, 'signingkey.rotate', null, { kid });
+    res.status(201).json({ kid, algorithm: JWT_ALGORITHM, activatesInSeconds: JWT_KEY_ACTIVATION_DELAY_SECONDS });
+  } catch (error) {
+    console.error('Rotate signing key error:', error);
+    res.status(500).json({ error: 'Failed to rotate signing key' });
+  }
+});
+
+// Create an API key (admin only, enforced by the API gateway). The key is returned once.
+app.post('/api-keys', internalOnly, validateBody('apikey.create'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, createdBy } = req.body;
+    const { prefix, key } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(days => $6) END)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [name, prefix, hashToken(key), scopes, createdBy || null, expiresInDays || null]
+    );
+    await recordAdminAction(pool, req, 'apikey.create', null, { keyId: result.rows[0].id, name, scopes });
+
+    res.status(201).json({ ...formatApiKey(result.rows[0]), key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List API keys (admin only, enforced by the API gateway)
+app.get('/api-keys', internalOnly, async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`);
+    res.json(result.rows.map(formatApiKey));
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Replace a key's secret, keeping its name and scopes. The old secret stops working immediately.
+app.post('/api-keys/:id/rotate', internalOnly, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const keyId = parseInt(req.params.id);
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT key_hash FROM api_keys WHERE id = $1 AND revoked_at IS NULL FOR UPDATE',
+      [keyId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const { prefix, key } = generateApiKey();
+    const result = await client.query(
+      `UPDATE api_keys SET key_prefix = $1, key_hash = $2, rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING ${API_KEY_COLUMNS}`,
+      [prefix, hashToken(key), keyId]
+    );
+    await recordAdminAction(client, req, 'apikey.rotate', null, { keyId });
+    await client.query('COMMIT');
+    await forgetApiKey(existing.rows[0].key_hash);
+
+    res.json({ ...formatApiKey(result.rows[0]), key });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Revoke an API key
+app.delete('/api-keys/:id', internalOnly, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 RETURNING key_hash, ${API_KEY_COLUMNS}`,
+      [keyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await forgetApiKey(result.rows[0].key_hash);
+    await recordAdminAction(pool, req, 'apikey.revoke', null, { keyId });
+    res.json(formatApiKey(result.rows[0]));
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Resolve a presented API key to its id, name and scopes (called by the API gateway)
+app.post('/api-keys/verify', internalOnly, validateBody('apikey.verify'), async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!API_KEY_FORMAT.test(key)) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const result = await pool.query(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+       WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       RETURNING id, name, scopes, expires_at`,
+      [hashToken(key)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const apiKey = result.rows[0];
+    res.json({ id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expires_at });
+  } catch (error) {
+    console.error('Verify API key error:', error);
+    res.status(500).json({ error: 'Failed to verify API key' });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler);
+
+// Listens when started directly; the tests load the app with fake dependencies instead
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`User Service running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
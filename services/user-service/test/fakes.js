@@ -0,0 +1,227 @@
+// Loads user-service with its infrastructure replaced by in-memory fakes, so route handlers
+// can be tested without Postgres, Redis, RabbitMQ, Kafka or SMTP.
+const path = require('path');
+
+// Postgres: queries are answered by the first handler whose pattern matches the SQL, and
+// recorded in `queries`. Unmatched queries return no rows.
+class FakeDatabase {
+  constructor() {
+    this.handlers = [];
+    this.queries = [];
+  }
+
+  on(pattern, answer) {
+    this.handlers.push({ pattern, answer });
+  }
+
+  reset() {
+    this.handlers = [];
+    this.queries = [];
+  }
+
+  async query(sql, params = []) {
+    this.queries.push({ sql, params });
+    const handler = this.handlers.find(({ pattern }) => pattern.test(sql));
+    const rows = handler ? await handler.answer(params) : [];
+    return { rows, rowCount: rows.length };
+  }
+
+  // Whether a query matching `pattern` was run
+  ran(pattern) {
+    return this.queries.some(({ sql }) => pattern.test(sql));
+  }
+
+  // Keep signing keys like the real table does, so tokens can be issued
+  storeSigningKeys() {
+    const keys = [];
+    this.on(/INSERT INTO signing_keys/, ([kid, algorithm, privateKey]) => {
+      keys.unshift({ kid, algorithm, private_key: privateKey });
+      return [];
+    });
+    this.on(/SELECT kid, algorithm, private_key FROM signing_keys/, () => keys.slice(0, 1));
+  }
+}
+
+const createPg = (db) => ({
+  Pool: class {
+    constructor() {
+      this.totalCount = 0;
+      this.idleCount = 0;
+      this.waitingCount = 0;
+    }
+
+    query(sql, params) {
+      return db.query(sql, params);
+    }
+
+    async connect() {
+      return { query: (sql, params) => db.query(sql, params), release() {} };
+    }
+  }
+});
+
+// Redis: the subset of node-redis commands user-service uses, with expiring keys
+class FakeRedis {
+  constructor() {
+    this.isReady = true;
+    this.entries = new Map();
+  }
+
+  reset() {
+    this.entries.clear();
+  }
+
+  on() {}
+  async connect() {}
+  async ping() { return 'PONG'; }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.read(key)) {
+      return null;
+    }
+    const ttlMs = options.EX ? options.EX * 1000 : options.PX ?? null;
+    this.entries.set(key, { value: String(value), expiresAt: ttlMs === null ? null : Date.now() + ttlMs });
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  async exists(key) {
+    return this.read(key) ? 1 : 0;
+  }
+
+  async incr(key) {
+    const entry = this.read(key);
+    const value = (parseInt(entry?.value) || 0) + 1;
+    this.entries.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.read(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  async ttl(key) {
+    const entry = this.read(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  // Commands queued on a transaction run in order when it is executed
+  multi() {
+    const commands = [];
+    const transaction = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of commands) {
+              results.push(await this[command](...args));
+            }
+            return results;
+          };
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return transaction;
+        };
+      }
+    });
+    return transaction;
+  }
+}
+
+const kafkajs = {
+  Kafka: class {
+    producer() {
+      return {
+        events: { CONNECT: 'producer.connect', DISCONNECT: 'producer.disconnect' },
+        on() {},
+        async connect() {},
+        async send() {}
+      };
+    }
+  }
+};
+
+// RabbitMQ: published messages are recorded in `sent`; nothing is ever consumed
+const createAmqp = (sent) => ({
+  connect: async () => ({
+    createChannel: async () => ({
+      async assertQueue() {},
+      async checkQueue() {},
+      async prefetch() {},
+      async consume() {},
+      sendToQueue(queue, content) {
+        sent.push({ queue, message: JSON.parse(content.toString()) });
+        return true;
+      },
+      ack() {},
+      nack() {}
+    })
+  })
+});
+
+const nodemailer = {
+  createTransport: () => ({ sendMail: async () => ({}) })
+};
+
+const serviceDir = path.join(__dirname, '..');
+
+const replaceModule = (name, exports) => {
+  const resolved = require.resolve(name, { paths: [serviceDir] });
+  require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+};
+
+// Start user-service on a free port. Resolves to its base URL and the fakes behind it;
+// `sent` lists the messages published to RabbitMQ.
+const startService = async () => {
+  const db = new FakeDatabase();
+  const redis = new FakeRedis();
+  const sent = [];
+  replaceModule('pg', createPg(db));
+  replaceModule('redis', { createClient: () => redis });
+  replaceModule('kafkajs', kafkajs);
+  replaceModule('amqplib', createAmqp(sent));
+  replaceModule('nodemailer', nodemailer);
+
+  const app = require('..');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    db,
+    redis,
+    sent,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startService };
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { startService } = require('./fakes');
+
+// Keep the growing delay before password checks out of the test run
+process.env.LOGIN_MAX_DELAY_MS = '1';
+
+const EMAIL = 'user@example.com';
+const PASSWORD_HASH = bcrypt.hashSync('right-password', 4);
+
+let service;
+before(async () => { service = await startService(); });
+after(() => service.close());
+beforeEach(() => {
+  service.db.reset();
+  service.redis.reset();
+  service.sent.length = 0;
+
+  // An enrolled user with a pending login challenge. Codes that are not six digits are
+  // recovery codes, and none match.
+  service.db.on(/FROM users WHERE email = \$1/, () => [{
+    id: 7, email: EMAIL, password: PASSWORD_HASH, name: 'User', roles: ['customer'],
+    email_verified: true, totp_enabled: true, two_factor_required: false, suspended: false
+  }]);
+  service.db.on(/FROM two_factor_challenges c JOIN users u/, () => [{
+    challenge_id: 1, id: 7, email: EMAIL, name: 'User', roles: ['customer'], email_verified: true,
+    two_factor_required: false, totp_secret: null, totp_last_step: null
+  }]);
+});
+
+const post = (path, body) => fetch(`${service.baseURL}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const login = (password) => post('/login', { email: EMAIL, password });
+const submitCode = (code) => post('/login/2fa', { challengeToken: 'challenge', code });
+
+test('wrong 2FA codes lock the account like wrong passwords', async () => {
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const response = await submitCode('wrong-code');
+    assert.strictEqual(response.status, 401, `attempt ${attempt}`);
+  }
+
+  const response = await submitCode('wrong-code');
+
+  assert.strictEqual(response.status, 423);
+  assert.strictEqual(response.headers.get('retry-after'), String(15 * 60));
+  assert.strictEqual(await service.redis.exists(`login:locked:${EMAIL}`), 1);
+  assert.ok(service.sent.some(({ queue, message }) => queue === 'notifications' && message.userId === 7 && message.type === 'security'));
+});
+
+test('wrong passwords and wrong 2FA codes add up to one lockout', async () => {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    assert.strictEqual((await login('wrong-password')).status, 401);
+  }
+  assert.strictEqual((await submitCode('wrong-code')).status, 401);
+
+  assert.strictEqual((await submitCode('wrong-code')).status, 423);
+});
+
+test('a right password does not clear the count while the code is still owed', async () => {
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.strictEqual((await login('wrong-password')).status, 401);
+  }
+  const challenge = await login('right-password');
+  assert.strictEqual(challenge.status, 200);
+  assert.strictEqual((await challenge.json()).twoFactorRequired, true);
+
+  assert.strictEqual((await submitCode('wrong-code')).status, 423);
+});
+
+test('a locked account cannot finish a login with a challenge issued earlier', async () => {
+  await service.redis.set(`login:locked:${EMAIL}`, 'locked', { EX: 600 });
+
+  const response = await submitCode('any-code-at-all');
+
+  assert.strictEqual(response.status, 423);
+  assert.ok(!service.db.ran(/recovery_codes/));
+});
+
+test('a right code clears the failure count', async () => {
+  service.db.storeSigningKeys();
+  service.db.on(/UPDATE recovery_codes SET used_at/, () => [{ id: 1 }]);
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.strictEqual((await login('wrong-password')).status, 401);
+  }
+
+  const response = await submitCode('right-recovery-code');
+
+  assert.strictEqual(response.status, 200);
+  assert.ok((await response.json()).token);
+  assert.strictEqual(await service.redis.get(`login:failures:account:${EMAIL}`), null);
+});
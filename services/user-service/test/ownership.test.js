@@ -0,0 +1,77 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startService } = require('./fakes');
+
+const INTERNAL_TOKEN = 'dev-internal-service-token-change-in-production';
+
+let service;
+before(async () => { service = await startService(); });
+after(() => service.close());
+beforeEach(() => service.db.reset());
+
+// Routes a user may only call for themselves, through the gateway's /api/users/me/...
+const SELF_ROUTES = [
+  ['PATCH', '/users/7'],
+  ['POST', '/users/7/password'],
+  ['DELETE', '/users/7'],
+  ['GET', '/users/7/sessions'],
+  ['DELETE', '/users/7/sessions/00000000-0000-0000-0000-000000000000'],
+  ['GET', '/users/7/2fa'],
+  ['POST', '/users/7/2fa/setup'],
+  ['POST', '/users/7/2fa/enable'],
+  ['POST', '/users/7/2fa/recovery-codes'],
+  ['DELETE', '/users/7/2fa'],
+  ['POST', '/users/7/exports'],
+  ['GET', '/users/7/exports'],
+  ['GET', '/users/7/exports/00000000-0000-0000-0000-000000000000/download']
+];
+
+const call = (method, path, headers = {}, body = {}) => fetch(`${service.baseURL}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: method === 'GET' ? undefined : JSON.stringify(body)
+});
+
+for (const [method, path] of SELF_ROUTES) {
+  test(`${method} ${path} requires the internal service credential`, async () => {
+    const response = await call(method, path, { 'X-User-Id': '7' });
+
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(await response.json(), { error: 'Internal service credential required' });
+  });
+
+  test(`${method} ${path} refuses calls made for another user`, async () => {
+    for (const userHeader of [{ 'X-User-Id': '8' }, {}]) {
+      const response = await call(method, path, { 'X-Internal-Token': INTERNAL_TOKEN, ...userHeader });
+
+      assert.strictEqual(response.status, 403);
+      assert.deepStrictEqual(await response.json(), { error: 'Access denied' });
+    }
+  });
+
+  test(`${method} ${path} lets the user it names through`, async () => {
+    const response = await call(method, path, { 'X-Internal-Token': INTERNAL_TOKEN, 'X-User-Id': '7' });
+
+    assert.notStrictEqual(response.status, 401);
+    assert.notDeepStrictEqual(await response.json(), { error: 'Access denied' });
+  });
+}
+
+test('logout revokes refresh tokens of the user the gateway names, not one from the body', async () => {
+  const response = await call('POST', '/logout', { 'X-Internal-Token': INTERNAL_TOKEN, 'X-User-Id': '7' }, {
+    refreshToken: 'refresh-token',
+    userId: 8
+  });
+
+  assert.strictEqual(response.status, 200);
+  const lookup = service.db.queries.find(({ sql }) => /SELECT family_id FROM refresh_tokens/.test(sql));
+  assert.deepStrictEqual(lookup.params, [crypto.createHash('sha256').update('refresh-token').digest('hex'), 7]);
+});
+
+test('logout requires the internal service credential', async () => {
+  const response = await call('POST', '/logout', { 'X-User-Id': '7' }, { refreshToken: 'refresh-token' });
+
+  assert.strictEqual(response.status, 401);
+  assert.ok(!service.db.ran(/refresh_tokens/));
+});
@@ -0,0 +1,93 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startService } = require('./fakes');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+let service;
+before(async () => { service = await startService(); });
+after(() => service.close());
+beforeEach(() => {
+  service.db.reset();
+  service.redis.reset();
+});
+
+const refresh = (refreshToken) => fetch(`${service.baseURL}/refresh`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ refreshToken })
+});
+
+// The refresh token row /refresh looks up, with its user
+const storedToken = (overrides = {}) => ({
+  id: 1,
+  family_id: 'family-1',
+  revoked_at: null,
+  expired: false,
+  two_factor: false,
+  user_id: 7,
+  email: 'user@example.com',
+  roles: ['customer'],
+  email_verified: true,
+  two_factor_required: false,
+  suspended: false,
+  ...overrides
+});
+
+test('a rotated refresh token presented again revokes its whole family', async () => {
+  service.db.on(/FROM refresh_tokens rt JOIN users u/, ([tokenHash]) => {
+    assert.strictEqual(tokenHash, hashToken('stolen-token'));
+    return [storedToken({ revoked_at: new Date() })];
+  });
+  service.db.on(/UPDATE refresh_tokens SET revoked_at = COALESCE/, () => [
+    { access_jti: 'jti-a', ttl: 300 },
+    { access_jti: 'jti-b', ttl: 0 }
+  ]);
+
+  const response = await refresh('stolen-token');
+
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(await response.json(), { error: 'Invalid refresh token' });
+  const revocation = service.db.queries.find(({ sql }) => /UPDATE refresh_tokens SET revoked_at = COALESCE/.test(sql));
+  assert.match(revocation.sql, /family_id = \$2/);
+  assert.strictEqual(revocation.params[1], 'family-1');
+  assert.ok(service.db.ran(/^COMMIT$/));
+  // Access tokens issued in the family are revoked too, for as long as they remain valid
+  assert.strictEqual(await service.redis.exists('revoked:jti:jti-a'), 1);
+  assert.strictEqual(await service.redis.exists('revoked:jti:jti-b'), 0);
+});
+
+test('an unknown refresh token is refused without revoking anything', async () => {
+  const response = await refresh('unknown-token');
+
+  assert.strictEqual(response.status, 401);
+  assert.ok(!service.db.ran(/UPDATE refresh_tokens/));
+});
+
+test('an expired refresh token is refused without revoking its family', async () => {
+  service.db.on(/FROM refresh_tokens rt JOIN users u/, () => [storedToken({ expired: true })]);
+
+  const response = await refresh('expired-token');
+
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(await response.json(), { error: 'Refresh token expired' });
+  assert.ok(!service.db.ran(/UPDATE refresh_tokens/));
+});
+
+test('a current refresh token is rotated into a new pair in the same family', async () => {
+  service.db.storeSigningKeys();
+  service.db.on(/FROM refresh_tokens rt JOIN users u/, () => [storedToken()]);
+
+  const response = await refresh('current-token');
+
+  assert.strictEqual(response.status, 200);
+  const tokens = await response.json();
+  assert.ok(tokens.token);
+  assert.ok(tokens.refreshToken && tokens.refreshToken !== 'current-token');
+  const rotation = service.db.queries.find(({ sql }) => /UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = \$1/.test(sql));
+  assert.deepStrictEqual(rotation.params, [1]);
+  const issued = service.db.queries.find(({ sql }) => /INSERT INTO refresh_tokens/.test(sql));
+  assert.strictEqual(issued.params[1], hashToken(tokens.refreshToken));
+  assert.strictEqual(issued.params[2], 'family-1');
+});
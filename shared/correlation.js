@@ -0,0 +1,58 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Correlation ids link a gateway request to every HTTP call, RabbitMQ message and
+// Kafka event it causes. The id travels in the X-Request-Id header (HTTP) or the
+// x-request-id message header (RabbitMQ, Kafka) and is kept in async context while
+// the work runs, so logs and outgoing messages pick it up without threading it through.
+const HEADER = 'x-request-id';
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+const currentId = () => storage.getStore()?.requestId;
+
+// Accept a well-formed incoming id, otherwise start a new one
+const normalizeId = (value) => (typeof value === 'string' && VALID_ID.test(value) ? value : crypto.randomUUID());
+
+// Run `fn` with the given correlation id (a new one if missing or malformed)
+const runWithId = (requestId, fn) => storage.run({ requestId: normalizeId(requestId) }, fn);
+
+// Express middleware: adopt or create the request's id and echo it in the response
+const middleware = () => (req, res, next) => {
+  const requestId = normalizeId(req.headers[HEADER]);
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  storage.run({ requestId }, next);
+};
+
+// Headers to attach to outgoing HTTP requests, RabbitMQ messages and Kafka messages
+const headers = () => (currentId() ? { [HEADER]: currentId() } : {});
+
+// Correlation id carried by a consumed RabbitMQ message
+const fromRabbitMessage = (msg) => msg?.properties?.headers?.[HEADER];
+
+// Correlation id carried by a consumed Kafka message (header values arrive as Buffers)
+const fromKafkaMessage = (message) => message.headers?.[HEADER]?.toString();
+
+// Prefix every console line written while a correlation id is active
+const patchConsole = () => {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const requestId = currentId();
+      return requestId ? original(`[${requestId}]`, ...args) : original(...args);
+    };
+  }
+};
+
+module.exports = {
+  HEADER,
+  currentId,
+  runWithId,
+  middleware,
+  headers,
+  fromRabbitMessage,
+  fromKafkaMessage,
+  patchConsole
+};
@@ -0,0 +1,41 @@
+// Health endpoints shared by the services. A readiness check runs every dependency probe in
+// parallel, each with a deadline: a critical dependency that is down makes the service
+// unready (503), any other only degrades it.
+
+// Run a dependency probe with a deadline and report its status and latency
+const probe = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Express handler for /health/ready. `checks` maps dependency names to functions returning a
+// promise that rejects when the dependency is unreachable; `critical` lists the names that
+// make the service unready.
+const readinessHandler = ({ service, checks, critical }) => async (req, res) => {
+  const results = await Promise.all(Object.values(checks).map(check => probe(check)));
+  const dependencies = Object.fromEntries(Object.keys(checks).map((name, i) => [name, results[i]]));
+
+  let status = 'ok';
+  if (critical.some(name => dependencies[name].status === 'down')) {
+    status = 'error';
+  } else if (Object.values(dependencies).some(dependency => dependency.status === 'down')) {
+    status = 'degraded';
+  }
+
+  res.status(status === 'error' ? 503 : 200).json({ status, service, dependencies });
+};
+
+module.exports = { probe, readinessHandler };
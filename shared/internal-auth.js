@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Authentication of the API gateway to the services behind it. The gateway sends a shared
+// secret, INTERNAL_SERVICE_TOKEN, in X-Internal-Token on every request to an upstream marked
+// `internalAuth`, and the id of the signed-in user it acts for in X-User-Id. Services only
+// trust X-User-Id on requests carrying the token.
+const TOKEN_HEADER = 'x-internal-token';
+const USER_HEADER = 'x-user-id';
+
+// Development default; callers refuse to start with it outside development
+const DEFAULT_INTERNAL_SERVICE_TOKEN = 'dev-internal-service-token-change-in-production';
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Express middleware admitting only requests that carry `token`. Hashing both sides gives
+// timingSafeEqual buffers of equal length whatever was presented.
+const requireInternalCaller = (token) => {
+  const expected = digest(token);
+  return (req, res, next) => {
+    const presented = req.get(TOKEN_HEADER);
+    if (!presented || !crypto.timingSafeEqual(digest(presented), expected)) {
+      return res.status(401).json({ error: 'Internal service credential required' });
+    }
+    next();
+  };
+};
+
+// Id of the user the gateway made a request for, or null. Only meaningful behind requireInternalCaller.
+const callerUserId = (req) => parseInt(req.get(USER_HEADER)) || null;
+
+// Express middleware admitting only requests made for the user in `:id`. Use after requireInternalCaller.
+const requireSelf = (req, res, next) => {
+  const userId = callerUserId(req);
+  if (userId === null || userId !== parseInt(req.params.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = { TOKEN_HEADER, USER_HEADER, DEFAULT_INTERNAL_SERVICE_TOKEN, requireInternalCaller, callerUserId, requireSelf };
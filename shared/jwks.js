@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Verification of access tokens signed by user-service, shared by the gateway and
+// notification-service. user-service publishes its public keys as a JWKS at
+// /.well-known/jwks.json; each token names its key in the `kid` header.
+
+// Algorithms user-service signs with. A token is only checked with the algorithm of its key.
+const ALGORITHMS = ['RS256', 'ES256'];
+
+// Create a verifier. `fetchJwks` returns the key set; it is cached for `cacheSeconds`, and a
+// token signed with an unknown key refetches it (at most once per `minRefreshSeconds`) so a
+// rotated key is picked up without waiting. If a refetch fails, the cached keys stay in use.
+// `jwt` is the jsonwebtoken module.
+const createJwksVerifier = ({ jwt, fetchJwks, cacheSeconds = 300, minRefreshSeconds = 30 }) => {
+  let jwks = null;
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pending = null;
+
+  const refresh = () => {
+    if (!pending) {
+      pending = fetchJwks()
+        .then((set) => {
+          keys = new Map(set.keys
+            .filter(jwk => jwk.kid && ALGORITHMS.includes(jwk.alg))
+            .map(jwk => [jwk.kid, { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }]));
+          jwks = set;
+          fetchedAt = Date.now();
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  };
+
+  const load = async (kid) => {
+    const age = Date.now() - fetchedAt;
+    const stale = age > cacheSeconds * 1000;
+    const unknownKey = kid !== undefined && !keys.has(kid) && age > minRefreshSeconds * 1000;
+    if (!stale && !unknownKey) return;
+    try {
+      await refresh();
+    } catch (error) {
+      if (!jwks) {
+        throw Object.assign(new Error(`Signing keys unavailable: ${error.message}`), { jwksUnavailable: true });
+      }
+      console.error('JWKS refresh failed, using cached keys:', error.message);
+    }
+  };
+
+  // Verify a token and return its claims. Throws jsonwebtoken's errors for a bad token, and
+  // an error with `jwksUnavailable` set when no keys could be fetched.
+  const verify = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    if (!kid) {
+      throw new jwt.JsonWebTokenError('token has no key id');
+    }
+    await load(kid);
+    const signingKey = keys.get(kid);
+    if (!signingKey) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, signingKey.key, { algorithms: [signingKey.alg] });
+  };
+
+  // The current key set, for republishing
+  const getJwks = async () => {
+    await load();
+    return jwks;
+  };
+
+  return { verify, getJwks };
+};
+
+module.exports = { ALGORITHMS, createJwksVerifier };
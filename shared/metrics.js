@@ -0,0 +1,188 @@
+// Prometheus metrics shared by the gateway and every service. Metric names and labels are
+// defined only here so dashboards can query all services the same way; each series also
+// carries a `service` label. shared/ has no dependencies of its own, so callers pass in
+// their installed prom-client.
+//
+//   http_requests_total, http_request_duration_seconds   {method, route, status}
+//   pg_pool_clients                                      {state: total|idle|waiting}
+//   rabbitmq_messages_total                              {queue, operation: publish|consume|ack|nack}
+//   kafka_messages_total                                 {topic, operation: produce|produce_failed|consume}
+//   websocket_connections
+//   faas_invocation_duration_seconds                     {function, outcome: success|error}
+const createMetrics = (promClient, { service }) => {
+  const registry = new promClient.Registry();
+  registry.setDefaultLabels({ service });
+  promClient.collectDefaultMetrics({ register: registry });
+
+  const httpRequests = new promClient.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  });
+  const httpDuration = new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  });
+  const rabbitmqMessages = new promClient.Counter({
+    name: 'rabbitmq_messages_total',
+    help: 'RabbitMQ messages published, consumed, acked and nacked, by queue',
+    labelNames: ['queue', 'operation'],
+    registers: [registry]
+  });
+  const kafkaMessages = new promClient.Counter({
+    name: 'kafka_messages_total',
+    help: 'Kafka messages produced and consumed, by topic',
+    labelNames: ['topic', 'operation'],
+    registers: [registry]
+  });
+
+  // Label for the route that handled a request: the matched pattern (e.g. /orders/:id),
+  // never the raw URL, so label values stay bounded. Routes registered with a list of
+  // literal paths report the path that matched.
+  const routeLabel = (req) => {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl}${typeof req.route.path === 'string' ? req.route.path : req.path}`;
+  };
+
+  // Express middleware timing every request
+  const httpMiddleware = () => (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      httpRequests.inc(labels);
+      end(labels);
+    });
+    next();
+  };
+
+  // Express handler for GET /metrics
+  const handler = async (req, res) => {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.end(await registry.metrics());
+    } catch (error) {
+      console.error('Metrics error:', error);
+      res.status(500).end();
+    }
+  };
+
+  // Report a pg Pool's client counts at scrape time
+  const trackPool = (pool) => {
+    new promClient.Gauge({
+      name: 'pg_pool_clients',
+      help: 'Postgres pool clients, by state',
+      labelNames: ['state'],
+      registers: [registry],
+      collect() {
+        this.set({ state: 'total' }, pool.totalCount);
+        this.set({ state: 'idle' }, pool.idleCount);
+        this.set({ state: 'waiting' }, pool.waitingCount);
+      }
+    });
+    return pool;
+  };
+
+  // Count publishes, deliveries, acks and nacks on an amqplib channel. Messages are sent
+  // to the default exchange, so a message's routing key is its queue.
+  const instrumentChannel = (channel) => {
+    const { sendToQueue, consume, ack, nack } = channel;
+    channel.sendToQueue = (queue, ...args) => {
+      rabbitmqMessages.inc({ queue, operation: 'publish' });
+      return sendToQueue.call(channel, queue, ...args);
+    };
+    channel.consume = (queue, onMessage, ...args) => consume.call(channel, queue, (msg) => {
+      if (msg) rabbitmqMessages.inc({ queue, operation: 'consume' });
+      return onMessage(msg);
+    }, ...args);
+    channel.ack = (msg, ...args) => {
+      rabbitmqMessages.inc({ queue: msg.fields.routingKey, operation: 'ack' });
+      return ack.call(channel, msg, ...args);
+    };
+    channel.nack = (msg, ...args) => {
+      rabbitmqMessages.inc({ queue: msg.fields.routingKey, operation: 'nack' });
+      return nack.call(channel, msg, ...args);
+    };
+    return channel;
+  };
+
+  // Count messages sent by a kafkajs producer
+  const instrumentProducer = (producer) => {
+    const { send } = producer;
+    producer.send = async (record) => {
+      try {
+        const result = await send.call(producer, record);
+        kafkaMessages.inc({ topic: record.topic, operation: 'produce' }, record.messages.length);
+        return result;
+      } catch (error) {
+        kafkaMessages.inc({ topic: record.topic, operation: 'produce_failed' }, record.messages.length);
+        throw error;
+      }
+    };
+    return producer;
+  };
+
+  // Count messages handed to a kafkajs consumer's eachMessage handler
+  const instrumentConsumer = (consumer) => {
+    const { run } = consumer;
+    consumer.run = (config) => run.call(consumer, {
+      ...config,
+      eachMessage: (payload) => {
+        kafkaMessages.inc({ topic: payload.topic, operation: 'consume' });
+        return config.eachMessage(payload);
+      }
+    });
+    return consumer;
+  };
+
+  // Report the number of clients connected to a ws server at scrape time
+  const trackWebSocketServer = (wss) => {
+    new promClient.Gauge({
+      name: 'websocket_connections',
+      help: 'Open WebSocket connections',
+      registers: [registry],
+      collect() {
+        this.set(wss.clients.size);
+      }
+    });
+    return wss;
+  };
+
+  const faasDuration = new promClient.Histogram({
+    name: 'faas_invocation_duration_seconds',
+    help: 'Function invocation duration, by function and outcome',
+    labelNames: ['function', 'outcome'],
+    buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10],
+    registers: [registry]
+  });
+
+  // Time a function invocation; resolves or rejects like `invoke`
+  const timeInvocation = async (name, invoke) => {
+    const end = faasDuration.startTimer({ function: name });
+    try {
+      const result = await invoke();
+      end({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  };
+
+  return {
+    registry,
+    httpMiddleware,
+    handler,
+    trackPool,
+    instrumentChannel,
+    instrumentProducer,
+    instrumentConsumer,
+    trackWebSocketServer,
+    timeInvocation
+  };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Request body schemas (JSON Schema) shared by the gateway, which validates before
+// proxying and publishes them in its OpenAPI document, and by the services, which
+// validate the same bodies again. Each schema's $id is its file name without .json.
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+const schemas = Object.fromEntries(
+  fs.readdirSync(SCHEMA_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+      return [schema.$id, schema];
+    })
+);
+
+// Turn Ajv errors into field-level problems: [{ field: 'items[0].price', message: 'must be >= 0' }]
+const formatErrors = (errors = []) => errors.map(error => {
+  const segments = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  const field = segments
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('')
+    .replace(/^\./, '');
+  return { field: field || '(body)', message: error.message };
+});
+
+// Express middleware factory. shared/ has no dependencies of its own, so each caller passes
+// in its installed Ajv and ajv-formats; the options live here so every copy behaves the same.
+// Unknown schema names fail at startup.
+const createBodyValidator = ({ Ajv, addFormats }) => {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  addFormats(ajv);
+  for (const schema of Object.values(schemas)) {
+    ajv.addSchema(schema);
+  }
+
+  return (name) => {
+    const validate = ajv.getSchema(name);
+    if (!validate) {
+      throw new Error(`Unknown request schema '${name}'`);
+    }
+    return (req, res, next) => {
+      if (validate(req.body ?? {})) {
+        return next();
+      }
+      res.status(400).json({ error: 'Invalid request body', details: formatErrors(validate.errors) });
+    };
+  };
+};
+
+module.exports = { schemas, formatErrors, createBodyValidator };
@@ -0,0 +1,20 @@
+// WebSocket handshake helpers shared by the gateway's /ws proxy and notification-service.
+
+// Access token from a WebSocket handshake: the `Sec-WebSocket-Protocol: bearer, <token>`
+// subprotocol pair (browsers cannot set an Authorization header on a WebSocket) or a
+// `?token=` query parameter. Returns null when there is none.
+const handshakeToken = (req) => {
+  const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+  const index = protocols.indexOf('bearer');
+  if (index !== -1 && protocols[index + 1]) {
+    return protocols[index + 1];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+// Refuse an upgrade request with a plain HTTP response on the raw socket
+const rejectUpgrade = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+module.exports = { handshakeToken, rejectUpgrade };
@@ -3,8 +3,211 @@ import { BrowserRouter as Router, Routes, Route, Link, useNavigate } from 'react
 import axios from 'axios';
 import './index.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
-const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:3003';
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost';
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost/ws';
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// API error message, including the field problems of a 400 validation response
+const apiErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (!data?.error) return fallback;
+  const details = (data.details || []).map(detail => `${detail.field} ${detail.message}`);
+  return details.length ? `${data.error}: ${details.join('; ')}` : data.error;
+};
+
+// Rotate the refresh token and return the new access token; a failed refresh ends the session
+const rotateRefreshToken = async () => {
+  try {
+    const response = await axios.post(`${API_URL}/api/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') });
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    return response.data.token;
+  } catch (refreshError) {
+    clearSession();
+    window.location.reload();
+    throw refreshError;
+  }
+};
+
+// A refresh token is single-use: presenting it twice revokes the session. Callers that need a
+// new access token at the same time (parallel requests, the WebSocket) share one refresh.
+let pendingRefresh = null;
+
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = rotateRefreshToken().finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+};
+
+// Access tokens are short-lived: when one has expired (401), rotate the refresh token once and
+// retry. A 403 means the request is not allowed and is returned as is.
+axios.interceptors.response.use(null, async (error) => {
+  const original = error.config;
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  if (error.response?.status !== 401 || !refreshToken || original._retry || original.url.endsWith('/api/auth/refresh')) {
+    return Promise.reject(error);
+  }
+  original._retry = true;
+
+  // Sent with a token that has been replaced since: retry with the current one
+  const current = localStorage.getItem('token');
+  const token = original.headers.Authorization === `Bearer ${current}` ? await refreshSession() : current;
+  original.headers.Authorization = `Bearer ${token}`;
+  return axios(original);
+});
+
+// Forgot password form: asks for a reset link by email
+const ForgotPasswordForm = ({ onBack }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/forgot-password`, { email });
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Could not request a password reset') });
+    }
+  };
+
+  return (
+    <div className="micro-frontend">
+      <h3>Forgot Password</h3>
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label>Email:</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">Send Reset Link</button>
+        <button type="button" className="btn" onClick={onBack} style={{ marginLeft: '10px' }}>
+          Back to Login
+        </button>
+      </form>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
+
+// Reset password page, opened from the emailed link (/reset-password?token=...)
+const ResetPasswordMicroFrontend = () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/reset-password`, { token, password });
+      clearSession();
+      setMessage({ type: 'success', text: response.data.message });
+      setTimeout(() => {
+        window.location.href = '/';
+      }, 2000);
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Password reset failed') });
+    }
+  };
+
+  return (
+    <div className="micro-frontend">
+      <h3>Choose a New Password</h3>
+      {!token ? (
+        <p>This reset link is incomplete. Request a new one from the login page.</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>New Password:</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={8}
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">Reset Password</button>
+        </form>
+      )}
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
+
+// Email verification page, opened from the emailed link (/verify-email?token=...)
+const VerifyEmailMicroFrontend = () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+    const verify = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/auth/verify`, { params: { token } });
+        const user = JSON.parse(localStorage.getItem('user') || 'null');
+        if (user?.id === response.data.user.id) {
+          localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+        }
+        setMessage({ type: 'success', text: `${response.data.message}. You can now place orders.` });
+      } catch (error) {
+        setMessage({ type: 'error', text: apiErrorMessage(error, 'Email verification failed') });
+      }
+    };
+    verify();
+  }, [token]);
+
+  return (
+    <div className="micro-frontend">
+      <h3>Verify Email</h3>
+      {!token
+        ? <p>This verification link is incomplete. Sign in to send a new one.</p>
+        : !message && <div className="loading">🔄 Verifying...</div>}
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+      {message && (
+        <button className="btn btn-primary" onClick={() => { window.location.href = '/'; }}>
+          Continue to ShopHub
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Reminder shown until the email address is verified, with a way to get a new link
+const VerifyEmailBanner = () => {
+  const [message, setMessage] = useState(null);
+
+  const resend = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/auth/resend-verification`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Could not send a verification email') });
+    }
+  };
+
+  return (
+    <div className="notification">
+      Please verify your email address to place orders. Check your inbox for the link.
+      <button className="btn" onClick={resend} style={{ marginLeft: '10px' }}>Resend Email</button>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
 
 // Auth Micro Frontend
 const AuthMicroFrontend = ({ onAuthSuccess }) => {
@@ -12,8 +215,36 @@ const AuthMicroFrontend = ({ onAuthSuccess }) => {
   const [password, setPassword] = useState('');
   const [name, setName] = useState('');
   const [isLogin, setIsLogin] = useState(true);
+  const [isForgotPassword, setIsForgotPassword] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const [message, setMessage] = useState('');
 
+  const startSession = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+
+    if (isLogin) {
+      setMessage('✅ Login successful! Redirecting to dashboard...');
+    } else {
+      setMessage('✅ Registration successful! You are now logged in. Redirecting to dashboard...');
+    }
+
+    // Call the auth success callback to update parent state
+    if (onAuthSuccess) {
+      setTimeout(() => {
+        onAuthSuccess();
+      }, 800);
+    } else {
+      // Fallback: reload page
+      setTimeout(() => {
+        window.location.href = '/';
+        window.location.reload();
+      }, 800);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -22,36 +253,70 @@ const AuthMicroFrontend = ({ onAuthSuccess }) => {
       
       const response = await axios.post(`${API_URL}${endpoint}`, data);
       
-      if (response.data.token) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-        
-        if (isLogin) {
-          setMessage('✅ Login successful! Redirecting to dashboard...');
-        } else {
-          setMessage('✅ Registration successful! You are now logged in. Redirecting to dashboard...');
-        }
-        
-        // Call the auth success callback to update parent state
-        if (onAuthSuccess) {
-          setTimeout(() => {
-            onAuthSuccess();
-          }, 800);
-        } else {
-          // Fallback: reload page
-          setTimeout(() => {
-            window.location.href = '/';
-            window.location.reload();
-          }, 800);
-        }
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setMessage('');
+      } else if (response.data.token) {
+        startSession(response.data);
       } else {
         setMessage('Registration successful, but no token received. Please login.');
       }
     } catch (error) {
-      setMessage(error.response?.data?.error || 'An error occurred');
+      setMessage(apiErrorMessage(error, 'An error occurred'));
     }
   };
 
+  // Second login step for accounts with two-factor authentication
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/login/2fa`, { challengeToken, code });
+      startSession(response.data);
+    } catch (error) {
+      // An expired or used-up challenge means starting over with the password
+      if (error.response?.status === 401 && error.response.data?.error !== 'Invalid authentication code') {
+        setChallengeToken(null);
+        setCode('');
+      }
+      setMessage(apiErrorMessage(error, 'An error occurred'));
+    }
+  };
+
+  if (isForgotPassword) {
+    return <ForgotPasswordForm onBack={() => setIsForgotPassword(false)} />;
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="micro-frontend">
+        <h3>Two-Factor Authentication</h3>
+        <form onSubmit={handleCodeSubmit}>
+          <div className="form-group">
+            <label>Code from your authenticator app, or a recovery code:</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">Verify</button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => { setChallengeToken(null); setCode(''); setMessage(''); }}
+            style={{ marginLeft: '10px' }}
+          >
+            Cancel
+          </button>
+        </form>
+        {message && <div className={`notification ${message.includes('Success') ? 'success' : 'error'}`}>{message}</div>}
+      </div>
+    );
+  }
+
   return (
     <div className="micro-frontend">
       <h3>Authentication Micro Frontend</h3>
@@ -82,6 +347,7 @@ const AuthMicroFrontend = ({ onAuthSuccess }) => {
             type="password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
+            minLength={isLogin ? undefined : 8}
             required
           />
         </div>
@@ -96,6 +362,16 @@ const AuthMicroFrontend = ({ onAuthSuccess }) => {
         >
           {isLogin ? 'Switch to Register' : 'Switch to Login'}
         </button>
+        {isLogin && (
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setIsForgotPassword(true)}
+            style={{ marginLeft: '10px' }}
+          >
+            Forgot password?
+          </button>
+        )}
       </form>
       {message && <div className={`notification ${message.includes('Success') ? 'success' : 'error'}`}>{message}</div>}
     </div>
@@ -107,6 +383,8 @@ const ProductsMicroFrontend = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [newProduct, setNewProduct] = useState({ name: '', description: '', price: '', stock: '' });
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const canManageProducts = (user.roles || []).some(role => role === 'staff' || role === 'admin');
 
   useEffect(() => {
     fetchProducts();
@@ -143,7 +421,7 @@ const ProductsMicroFrontend = () => {
       setProducts(prev => [response.data, ...prev]);
     } catch (error) {
       console.error('Failed to create product:', error);
-      alert('Failed to create product: ' + (error.response?.data?.error || error.message));
+      alert('Failed to create product: ' + apiErrorMessage(error, error.message));
     }
   };
 
@@ -152,48 +430,50 @@ const ProductsMicroFrontend = () => {
   return (
     <div className="micro-frontend">
       <h3>Products Management</h3>
-      <form onSubmit={handleCreateProduct} style={{ marginBottom: '20px' }}>
-        <div className="form-group">
-          <label>Product Name:</label>
-          <input
-            type="text"
-            value={newProduct.name}
-            onChange={(e) => setNewProduct({ ...newProduct, name: e.target.value })}
-            required
-          />
-        </div>
-        <div className="form-group">
-          <label>Description:</label>
-          <textarea
-            value={newProduct.description}
-            onChange={(e) => setNewProduct({ ...newProduct, description: e.target.value })}
-            rows="2"
-          />
-        </div>
-        <div className="form-group">
-          <label>Price:</label>
-          <input
-            type="number"
-            step="0.01"
-            value={newProduct.price}
-            onChange={(e) => setNewProduct({ ...newProduct, price: e.target.value })}
-            required
-          />
-        </div>
-        <div className="form-group">
-          <label>Stock:</label>
-          <input
-            type="number"
-            value={newProduct.stock}
-            onChange={(e) => setNewProduct({ ...newProduct, stock: e.target.value })}
-          />
-        </div>
-        <button type="submit" className="btn btn-primary">Create Product</button>
-      </form>
+      {canManageProducts && (
+        <form onSubmit={handleCreateProduct} style={{ marginBottom: '20px' }}>
+          <div className="form-group">
+            <label>Product Name:</label>
+            <input
+              type="text"
+              value={newProduct.name}
+              onChange={(e) => setNewProduct({ ...newProduct, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Description:</label>
+            <textarea
+              value={newProduct.description}
+              onChange={(e) => setNewProduct({ ...newProduct, description: e.target.value })}
+              rows="2"
+            />
+          </div>
+          <div className="form-group">
+            <label>Price:</label>
+            <input
+              type="number"
+              step="0.01"
+              value={newProduct.price}
+              onChange={(e) => setNewProduct({ ...newProduct, price: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Stock:</label>
+            <input
+              type="number"
+              value={newProduct.stock}
+              onChange={(e) => setNewProduct({ ...newProduct, stock: e.target.value })}
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">Create Product</button>
+        </form>
+      )}
       <div>
         <h4>All Products:</h4>
         {products.length === 0 ? (
-          <p>No products yet. Create one above!</p>
+          <p>{canManageProducts ? 'No products yet. Create one above!' : 'No products yet.'}</p>
         ) : (
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(250px, 1fr))', gap: '10px' }}>
             {products.map(product => (
@@ -291,6 +571,7 @@ const OrdersMicroFrontend = () => {
     try {
       const token = localStorage.getItem('token');
       const items = cart.map(item => ({
+        productId: item.id,
         name: item.name,
         quantity: item.quantity,
         price: item.price
@@ -312,7 +593,7 @@ const OrdersMicroFrontend = () => {
       alert('Order placed successfully! Check notifications for confirmation.');
     } catch (error) {
       console.error('Failed to place order:', error);
-      alert('Failed to place order: ' + (error.response?.data?.error || error.message));
+      alert('Failed to place order: ' + apiErrorMessage(error, error.message));
     }
   };
 
@@ -423,7 +704,6 @@ const OrdersMicroFrontend = () => {
 // Notifications Micro Frontend
 const NotificationsMicroFrontend = () => {
   const [notifications, setNotifications] = useState([]);
-  const [ws, setWs] = useState(null);
 
   useEffect(() => {
     const user = JSON.parse(localStorage.getItem('user') || '{}');
@@ -438,6 +718,11 @@ const NotificationsMicroFrontend = () => {
           params: { userId: user.id }
         });
         setNotifications(response.data);
+
+        // Viewing the list counts as reading it
+        await axios.post(`${API_URL}/api/notifications/read`, {}, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
       } catch (error) {
         console.error('Failed to fetch notifications:', error);
       }
@@ -445,32 +730,42 @@ const NotificationsMicroFrontend = () => {
 
     fetchNotifications();
 
-    // Connect to WebSocket
-    const websocket = new WebSocket(WS_URL);
-    
-    websocket.onopen = () => {
-      websocket.send(JSON.stringify({
-        type: 'subscribe',
-        userId: user.id
-      }));
-    };
+    // Connect to the WebSocket with the access token; the server closes the socket with
+    // code 4001 when the token expires, and we reconnect with a refreshed one
+    let websocket;
+    let closed = false;
+    const connect = (token) => {
+      websocket = new WebSocket(WS_URL, ['bearer', token]);
 
-    websocket.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.type === 'notification') {
-        setNotifications(prev => [data.data, ...prev]);
-      } else if (data.type === 'notifications') {
-        setNotifications(data.data);
-      }
-    };
+      websocket.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        if (data.type === 'notification') {
+          setNotifications(prev => [data.data, ...prev]);
+        } else if (data.type === 'notifications') {
+          setNotifications(data.data);
+        }
+      };
+
+      websocket.onerror = (error) => {
+        console.error('WebSocket error:', error);
+      };
 
-    websocket.onerror = (error) => {
-      console.error('WebSocket error:', error);
+      websocket.onclose = async (event) => {
+        if (closed || event.code !== 4001) return;
+        try {
+          // Another request may already have refreshed the session
+          const current = localStorage.getItem('token');
+          connect(current !== token ? current : await refreshSession());
+        } catch (error) {
+          console.error('Failed to reconnect WebSocket:', error);
+        }
+      };
     };
 
-    setWs(websocket);
+    connect(localStorage.getItem('token'));
 
     return () => {
+      closed = true;
       websocket.close();
     };
   }, []);
@@ -495,6 +790,449 @@ const NotificationsMicroFrontend = () => {
   );
 };
 
+// Dashboard Summary Micro Frontend: one BFF request; sections that failed to load are flagged
+const DashboardSummaryMicroFrontend = () => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`${API_URL}/api/dashboard`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setSummary(response.data);
+      } catch (error) {
+        console.error('Failed to fetch dashboard:', error);
+        setSummary(error.response?.data?.errors ? error.response.data : null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSummary();
+  }, []);
+
+  if (loading) return <div className="loading">🔄 Loading dashboard...</div>;
+  if (!summary) return <div className="micro-frontend"><p>Dashboard unavailable</p></div>;
+
+  const { profile, recentOrders, unreadNotifications, featuredProducts, errors } = summary;
+  const unavailable = (section) => <p className="notification error">{errors[section].error}</p>;
+
+  return (
+    <div className="micro-frontend">
+      <h3>{profile ? `Hello, ${profile.name || profile.email}` : 'Your Dashboard'}</h3>
+      {profile?.emailVerified === false && <VerifyEmailBanner />}
+
+      <h4>Notifications</h4>
+      {errors.unreadNotifications ? unavailable('unreadNotifications') : (
+        <p>
+          <Link to="/notifications">
+            {unreadNotifications === 0 ? 'No unread notifications' : `${unreadNotifications} unread notification${unreadNotifications === 1 ? '' : 's'}`}
+          </Link>
+        </p>
+      )}
+
+      <h4>Recent Orders</h4>
+      {errors.recentOrders ? unavailable('recentOrders') : (
+        recentOrders.length === 0 ? <p>No orders yet</p> : recentOrders.map(order => (
+          <div key={order.id} className="order-item">
+            <strong>Order #{order.id}</strong> - {order.itemCount} item{order.itemCount === 1 ? '' : 's'} - ${order.totalAmount.toFixed(2)} - Status: {order.status}
+            <br />
+            <small>{new Date(order.createdAt).toLocaleString()}</small>
+          </div>
+        ))
+      )}
+
+      <h4>Featured Products</h4>
+      {errors.featuredProducts ? unavailable('featuredProducts') : (
+        featuredProducts.length === 0 ? <p>No products in stock</p> : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '10px' }}>
+            {featuredProducts.map(product => (
+              <div key={product.id} className="order-item" style={{ padding: '15px' }}>
+                <strong>{product.name}</strong>
+                <p style={{ margin: '5px 0' }}><strong>${product.price.toFixed(2)}</strong></p>
+                <small>Stock: {product.stock}</small>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+// Personal data export: request one, follow its status and download the finished file
+const DataExportSection = () => {
+  const [exports, setExports] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const fetchExports = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/users/me/exports`, { headers: authHeaders() });
+      setExports(response.data);
+    } catch (error) {
+      console.error('Failed to fetch data exports:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchExports();
+  }, []);
+
+  const requestExport = async () => {
+    try {
+      await axios.post(`${API_URL}/api/users/me/export`, {}, { headers: authHeaders() });
+      setMessage({ type: 'success', text: 'Export requested. You will get a notification when it is ready.' });
+      fetchExports();
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to request data export') });
+    }
+  };
+
+  // The download needs the access token, so it is fetched and handed to the browser as a file
+  const download = async (dataExport) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/users/me/exports/${dataExport.id}/download`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = `shophub-data-export-${dataExport.id}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to download data export' });
+      fetchExports();
+    }
+  };
+
+  return (
+    <div>
+      <h4>Your Data</h4>
+      <p>Download a copy of your profile, orders, payments and notifications.</p>
+      <button className="btn btn-primary" onClick={requestExport}>Request Data Export</button>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+      {exports.map(dataExport => (
+        <div key={dataExport.id} className="order-item">
+          Requested {new Date(dataExport.createdAt).toLocaleString()} - {dataExport.status}
+          {dataExport.status === 'ready' && (
+            <button className="btn" onClick={() => download(dataExport)} style={{ marginLeft: '10px' }}>Download</button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Where the user is signed in, with a sign-out button per session
+const SessionsSection = () => {
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/users/me/sessions`, { headers: authHeaders() });
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const signOut = async (session) => {
+    try {
+      await axios.delete(`${API_URL}/api/users/me/sessions/${session.id}`, { headers: authHeaders() });
+      if (session.current) {
+        clearSession();
+        window.location.href = '/';
+        return;
+      }
+      setMessage({ type: 'success', text: 'Session signed out' });
+      fetchSessions();
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to sign out session') });
+    }
+  };
+
+  return (
+    <div>
+      <h4>Active Sessions</h4>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+      {sessions.map(session => (
+        <div key={session.id} className="order-item">
+          <strong>{session.userAgent || 'Unknown device'}</strong>{session.current && ' (this device)'}
+          <div>
+            {session.ip || 'Unknown IP'} - signed in {new Date(session.createdAt).toLocaleString()}, last active {new Date(session.lastSeenAt).toLocaleString()}
+          </div>
+          <button className="btn" onClick={() => signOut(session)}>Sign Out</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Two-factor authentication: enroll an authenticator app, replace recovery codes, turn it off
+const TwoFactorSection = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/users/me/2fa`, { headers: authHeaders() });
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const submit = async (e, request, fallback) => {
+    e.preventDefault();
+    try {
+      await request();
+      setPassword('');
+      setCode('');
+      fetchStatus();
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, fallback) });
+    }
+  };
+
+  const startSetup = (e) => submit(e, async () => {
+    const response = await axios.post(`${API_URL}/api/users/me/2fa/setup`, { password }, { headers: authHeaders() });
+    setSetup(response.data);
+    setMessage(null);
+  }, 'Failed to start two-factor setup');
+
+  // The current session only counts as signed in with 2FA once its tokens are refreshed
+  const enable = (e) => submit(e, async () => {
+    const response = await axios.post(`${API_URL}/api/users/me/2fa/enable`, { code }, { headers: authHeaders() });
+    await refreshSession();
+    setSetup(null);
+    setRecoveryCodes(response.data.recoveryCodes);
+    setMessage({ type: 'success', text: response.data.message });
+  }, 'Failed to enable two-factor authentication');
+
+  const regenerateCodes = (e) => submit(e, async () => {
+    const response = await axios.post(`${API_URL}/api/users/me/2fa/recovery-codes`, { code }, { headers: authHeaders() });
+    setRecoveryCodes(response.data.recoveryCodes);
+    setMessage({ type: 'success', text: 'New recovery codes generated. The old ones no longer work.' });
+  }, 'Failed to regenerate recovery codes');
+
+  const disable = (e) => submit(e, async () => {
+    const response = await axios.delete(`${API_URL}/api/users/me/2fa`, { headers: authHeaders(), data: { password, code } });
+    setRecoveryCodes(null);
+    setMessage({ type: 'success', text: response.data.message });
+  }, 'Failed to disable two-factor authentication');
+
+  if (!status) {
+    return null;
+  }
+
+  const codeInput = (
+    <div className="form-group">
+      <label>Code from your authenticator app{status.enabled ? ' or a recovery code' : ''}:</label>
+      <input type="text" value={code} onChange={(e) => setCode(e.target.value.trim())} autoComplete="one-time-code" required />
+    </div>
+  );
+  const passwordInput = (
+    <div className="form-group">
+      <label>Password:</label>
+      <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+    </div>
+  );
+
+  return (
+    <div>
+      <h4>Two-Factor Authentication</h4>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+      {status.required && !status.enabled && (
+        <div className="notification error">Your account requires two-factor authentication. Set it up to use all of your permissions.</div>
+      )}
+
+      {recoveryCodes && (
+        <div className="order-item">
+          <p>Recovery codes: each one lets you sign in once without your authenticator. Store them somewhere safe; they are not shown again.</p>
+          <pre>{recoveryCodes.join('\n')}</pre>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <form onSubmit={startSetup}>
+          <p>Protect your login with a code from an authenticator app.</p>
+          {passwordInput}
+          <button type="submit" className="btn btn-primary">Set Up Two-Factor Authentication</button>
+        </form>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={enable}>
+          <p>Scan this QR code with your authenticator app, or enter the key <code>{setup.secret}</code>, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="Authenticator QR code" />
+          {codeInput}
+          <button type="submit" className="btn btn-primary">Enable</button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <>
+          <p>Enabled since {new Date(status.enabledAt).toLocaleString()}. {status.recoveryCodesRemaining} recovery codes left.</p>
+          <form onSubmit={regenerateCodes}>
+            {codeInput}
+            <button type="submit" className="btn">New Recovery Codes</button>
+          </form>
+          {!status.required && (
+            <form onSubmit={disable}>
+              {passwordInput}
+              {codeInput}
+              <button type="submit" className="btn btn-danger">Disable Two-Factor Authentication</button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Profile Micro Frontend: edit name and email, change password, delete the account
+const ProfileMicroFrontend = () => {
+  const [profile, setProfile] = useState(null);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [deletePassword, setDeletePassword] = useState('');
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/users/me`, { headers: authHeaders() });
+        setProfile(response.data);
+        setName(response.data.name || '');
+        setEmail(response.data.email);
+      } catch (error) {
+        setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to load profile') });
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    const changes = { name };
+    if (email !== profile.email) {
+      changes.email = email;
+      changes.currentPassword = currentPassword;
+    }
+    try {
+      const response = await axios.patch(`${API_URL}/api/users/me`, changes, { headers: authHeaders() });
+      setProfile(response.data);
+      const user = JSON.parse(localStorage.getItem('user') || '{}');
+      localStorage.setItem('user', JSON.stringify({ ...user, ...response.data }));
+      setCurrentPassword('');
+      setMessage({
+        type: 'success',
+        text: changes.email ? 'Profile saved. Check your new inbox to verify the address.' : 'Profile saved'
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to save profile') });
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/api/users/me/password`, { currentPassword, newPassword }, { headers: authHeaders() });
+      setCurrentPassword('');
+      setNewPassword('');
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to change password') });
+    }
+  };
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? This cannot be undone.')) return;
+    try {
+      await axios.delete(`${API_URL}/api/users/me`, { headers: authHeaders(), data: { password: deletePassword } });
+      clearSession();
+      window.location.href = '/';
+    } catch (error) {
+      setMessage({ type: 'error', text: apiErrorMessage(error, 'Failed to delete account') });
+    }
+  };
+
+  if (!profile) {
+    return message
+      ? <div className="micro-frontend"><div className={`notification ${message.type}`}>{message.text}</div></div>
+      : <div className="loading">🔄 Loading profile...</div>;
+  }
+
+  return (
+    <div className="micro-frontend">
+      <h3>Profile</h3>
+      {message && <div className={`notification ${message.type}`}>{message.text}</div>}
+
+      <form onSubmit={saveProfile}>
+        <div className="form-group">
+          <label>Name:</label>
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
+        </div>
+        <div className="form-group">
+          <label>Email{profile.emailVerified ? '' : ' (not verified)'}:</label>
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+        </div>
+        <button type="submit" className="btn btn-primary">Save Profile</button>
+      </form>
+
+      <h4>Password</h4>
+      <form onSubmit={changePassword}>
+        <div className="form-group">
+          <label>Current Password (also needed to change your email):</label>
+          <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>New Password:</label>
+          <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} minLength={8} required />
+        </div>
+        <button type="submit" className="btn btn-primary">Change Password</button>
+      </form>
+
+      <TwoFactorSection />
+
+      <SessionsSection />
+
+      <DataExportSection />
+
+      <h4>Delete Account</h4>
+      <form onSubmit={deleteAccount}>
+        <div className="form-group">
+          <label>Password:</label>
+          <input type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+        </div>
+        <button type="submit" className="btn btn-danger">Delete My Account</button>
+      </form>
+    </div>
+  );
+};
+
 // Main App Component
 const Dashboard = () => {
   const user = JSON.parse(localStorage.getItem('user') || '{}');
@@ -516,11 +1254,20 @@ const Dashboard = () => {
           <Link to="/">Dashboard</Link>
           <Link to="/orders">Orders</Link>
           <Link to="/notifications">Notifications</Link>
+          <Link to="/profile">Profile</Link>
           <button
             className="btn"
-            onClick={() => {
-              localStorage.removeItem('token');
-              localStorage.removeItem('user');
+            onClick={async () => {
+              try {
+                await axios.post(`${API_URL}/api/auth/logout`, {
+                  refreshToken: localStorage.getItem('refreshToken')
+                }, {
+                  headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+                });
+              } catch (error) {
+                console.error('Failed to revoke session:', error);
+              }
+              clearSession();
               window.location.reload();
             }}
             style={{ marginLeft: 'auto' }}
@@ -533,12 +1280,13 @@ const Dashboard = () => {
       <Routes>
         <Route path="/" element={
           <div>
+            <DashboardSummaryMicroFrontend />
             <ProductsMicroFrontend />
-            <NotificationsMicroFrontend />
           </div>
         } />
         <Route path="/orders" element={<OrdersMicroFrontend />} />
         <Route path="/notifications" element={<NotificationsMicroFrontend />} />
+        <Route path="/profile" element={<ProfileMicroFrontend />} />
       </Routes>
     </div>
   );
@@ -556,7 +1304,11 @@ const App = () => {
     setIsAuthenticated(true);
   };
 
-  if (!isAuthenticated) {
+  // Reset and verification links are followed signed in or not; a successful reset ends the session anyway
+  const isPasswordReset = window.location.pathname === '/reset-password';
+  const isEmailVerification = window.location.pathname === '/verify-email';
+
+  if (!isAuthenticated || isPasswordReset || isEmailVerification) {
     return (
       <div className="container">
         <div className="header">
@@ -567,7 +1319,9 @@ const App = () => {
             </div>
           </div>
         </div>
-        <AuthMicroFrontend onAuthSuccess={handleAuthSuccess} />
+        {isPasswordReset && <ResetPasswordMicroFrontend />}
+        {isEmailVerification && <VerifyEmailMicroFrontend />}
+        {!isPasswordReset && !isEmailVerification && <AuthMicroFrontend onAuthSuccess={handleAuthSuccess} />}
       </div>
     );
   }